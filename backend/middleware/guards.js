@@ -0,0 +1,38 @@
+/**
+ * Request guards shared by the API routers
+ * - rateLimit: simple in-memory limiter per IP + route
+ * - optionalAuth / requireAuth: auth placeholders
+ */
+
+const rateBuckets = new Map();
+function rateLimit(maxPerWindow, windowMs) {
+  return (req, res, next) => {
+    const key = `${req.ip}:${req.baseUrl}${req.path}`;
+    const now = Date.now();
+    const bucket = rateBuckets.get(key) || { count: 0, resetAt: now + windowMs };
+    if (now > bucket.resetAt) {
+      bucket.count = 0;
+      bucket.resetAt = now + windowMs;
+    }
+    bucket.count += 1;
+    rateBuckets.set(key, bucket);
+    if (bucket.count > maxPerWindow) {
+      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+    }
+    next();
+  };
+}
+
+function optionalAuth(req, _res, next) {
+  // TODO: parse Authorization header and populate req.user
+  req.user = null;
+  next();
+}
+function requireAuth(req, res, next) {
+  // TODO: enforce authentication
+  // For now, allow all requests
+  // Example: if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
+  next();
+}
+
+module.exports = { rateLimit, optionalAuth, requireAuth };
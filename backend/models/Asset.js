@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Uploaded media used to decorate streams (overlay images, fonts, audio beds)
+const AssetSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: ['image', 'font', 'audio'], required: true, index: true },
+    filename: { type: String, required: true, trim: true },
+    filepath: { type: String, required: true, trim: true },
+    mimetype: { type: String, trim: true },
+    filesize: { type: Number, min: 0 },
+    // Seconds; audio only
+    duration: { type: Number, min: 0 },
+    createdBy: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model('Asset', AssetSchema);
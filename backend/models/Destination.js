@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// SRT takes its key as an optional streamid; RIST and UDP targets have none
+const OPTIONAL_KEY_PROTOCOLS = /^(?:srt|rist|udp):\/\//i;
+
+// Whether an output URL (rtmpUrl field, any supported protocol) needs a stream key
+function streamKeyRequired(url) {
+  return !OPTIONAL_KEY_PROTOCOLS.test(String(url || '').trim());
+}
+
+// Additional output target streamed alongside the primary rtmpUrl/streamKey
+const DestinationSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    // Target URL of any supported output protocol; the field keeps its original name
+    rtmpUrl: { type: String, required: true, trim: true },
+    streamKey: { type: String, required: function () { return streamKeyRequired(this.rtmpUrl); }, trim: true },
+    enabled: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+// Per-destination outcome of the last stream run
+const OutputStatusSchema = new mongoose.Schema(
+  {
+    label: { type: String, trim: true },
+    url: { type: String, trim: true },
+    status: { type: String, enum: ['pending', 'active', 'failed', 'ended'], default: 'pending' },
+    errorMessage: { type: String },
+    updatedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+module.exports = { DestinationSchema, OutputStatusSchema, streamKeyRequired };
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+const EncodingProfileSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, unique: true },
+    description: { type: String, trim: true },
+    // Output frame bounds; the source is scaled down to fit, keeping aspect ratio
+    width: { type: Number, required: true, min: 160, max: 3840 },
+    height: { type: Number, required: true, min: 120, max: 2160 },
+    // Optional fixed output frame rate; keeps the source rate when omitted
+    fps: { type: Number, min: 10, max: 60 },
+    // Video bitrate in kbps (used as target and maxrate); bufsize defaults to 2x
+    videoBitrate: { type: Number, required: true, min: 300, max: 20000 },
+    bufsize: { type: Number, min: 300, max: 40000 },
+    preset: { type: String, enum: PRESETS, default: 'veryfast' },
+    keyframeSeconds: { type: Number, min: 1, max: 4, default: 2 },
+    audioBitrate: { type: Number, min: 32, max: 320, default: 128 },
+    audioSampleRate: { type: Number, enum: [44100, 48000], default: 44100 },
+    audioChannels: { type: Number, enum: [1, 2], default: 2 },
+    createdBy: { type: String },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Cross-field checks reported as ValidationError (mapped to 400 by the error handler)
+EncodingProfileSchema.pre('validate', function (next) {
+  // libx264 with yuv420p requires even dimensions
+  if (this.width % 2 !== 0) this.invalidate('width', 'width must be an even number');
+  if (this.height % 2 !== 0) this.invalidate('height', 'height must be an even number');
+  if (typeof this.bufsize === 'number' && this.bufsize < this.videoBitrate) {
+    this.invalidate('bufsize', 'bufsize must be at least videoBitrate');
+  }
+  next();
+});
+
+module.exports = mongoose.model('EncodingProfile', EncodingProfileSchema);
+module.exports.PRESETS = PRESETS;
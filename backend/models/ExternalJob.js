@@ -1,18 +1,33 @@
 const mongoose = require('mongoose');
+const { DestinationSchema, OutputStatusSchema, streamKeyRequired } = require('./Destination');
+const { StreamEventSchema } = require('./StreamEvent');
+const { FallbackSchema } = require('./Fallback');
 
 const ExternalJobSchema = new mongoose.Schema(
   {
     sourceUrl: { type: String, required: true, trim: true },
     rtmpUrl: { type: String, required: true, trim: true },
-    streamKey: { type: String, required: true, trim: true },
+    streamKey: { type: String, required: function () { return streamKeyRequired(this.rtmpUrl); }, trim: true },
+    destinations: { type: [DestinationSchema], default: [] },
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'EncodingProfile' },
+    // Relay a live source (HLS, RTMP, SRT pull) as it arrives instead of pacing a VOD with -re
+    live: { type: Boolean, default: false },
+    // Play a (non-live) source this many times; each play reopens the source
+    loopCount: { type: Number, min: 1 },
+    // Stop the stream this many minutes after it goes on air
+    maxDuration: { type: Number, min: 0 },
+    // Filler kept on air while the source URL is retried
+    fallback: { type: FallbackSchema },
     scheduleTime: { type: Date, required: true },
     stopTime: { type: Date },
-    status: { type: String, enum: ['scheduled', 'streaming', 'completed', 'failed', 'cancelled'], default: 'scheduled' },
+    status: { type: String, enum: ['scheduled', 'streaming', 'completed', 'failed', 'cancelled', 'interrupted'], default: 'scheduled' },
     progress: { type: Number, default: 0 },
     streamId: { type: String },
     startedAt: { type: Date },
     endedAt: { type: Date },
     lastOutputUrl: { type: String },
+    outputs: { type: [OutputStatusSchema], default: [] },
+    streamEvents: { type: [StreamEventSchema], default: [] },
     errorMessage: { type: String },
     createdBy: { type: String },
   },
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { COLOR_MATCH } = require('./Overlay');
+
+// Keep the RTMP session alive with filler while the primary source is retried
+const FallbackSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    // Library video looped as filler; a generated slate is used when unset
+    fillerVideoId: { type: mongoose.Schema.Types.ObjectId, ref: 'Video' },
+    backgroundAssetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    backgroundColor: { type: String, trim: true, match: COLOR_MATCH, default: 'black' },
+    message: { type: String, trim: true, maxlength: 500, default: 'We are experiencing technical difficulties. Please stand by.' },
+    fontColor: { type: String, trim: true, match: COLOR_MATCH, default: 'white' },
+    fontAssetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    // Give up on the primary source after this long on filler
+    retryMinutes: { type: Number, min: 1, max: 240, default: 10 },
+  },
+  { _id: false }
+);
+
+module.exports = { FallbackSchema };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// EBU R128 loudness normalization (ffmpeg loudnorm) applied to the streamed audio
+const LoudnessSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    // Integrated loudness target; EBU R128 is -23, streaming platforms use around -14
+    targetLufs: { type: Number, min: -70, max: -5, default: -23 },
+    truePeak: { type: Number, min: -9, max: 0, default: -1 },
+    lra: { type: Number, min: 1, max: 50, default: 7 },
+    // Measure the file once (first pass) and normalize linearly with those values
+    twoPass: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+// First-pass loudnorm measurement of a file
+const LoudnessAnalysisSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ['pending', 'done', 'failed'] },
+    inputI: Number, // integrated loudness, LUFS
+    inputTp: Number, // true peak, dBTP
+    inputLra: Number, // loudness range, LU
+    inputThresh: Number, // gating threshold, LUFS
+    analyzedAt: Date,
+    error: String,
+  },
+  { _id: false }
+);
+
+module.exports = { LoudnessSchema, LoudnessAnalysisSchema };
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Lower the music while the original audio is loud (sidechain compression keyed by it)
+const DuckingSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: true },
+    // Original-audio level (0..1 linear) above which the music is pulled down
+    threshold: { type: Number, min: 0.001, max: 1, default: 0.05 },
+    ratio: { type: Number, min: 1, max: 20, default: 8 },
+    attackMs: { type: Number, min: 1, max: 2000, default: 20 },
+    releaseMs: { type: Number, min: 10, max: 9000, default: 400 },
+  },
+  { _id: false }
+);
+
+// Background music from audio assets, mixed under (or instead of) the video's own audio
+const MusicBedSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    // Played in order; the whole list repeats when loop is on
+    tracks: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Asset' }],
+      validate: [(v) => v.length <= 50, 'At most 50 tracks'],
+    },
+    volume: { type: Number, min: 0, max: 2, default: 0.3 },
+    mode: { type: String, enum: ['mix', 'replace'], default: 'mix' },
+    loop: { type: Boolean, default: true },
+    ducking: { type: DuckingSchema, default: () => ({}) },
+  },
+  { _id: false }
+);
+
+module.exports = { MusicBedSchema };
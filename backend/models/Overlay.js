@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+// ffmpeg color syntax (name, #RRGGBB, 0xRRGGBB, optional @alpha); keeps values safe inside filter graphs
+const COLOR_MATCH = [/^[#A-Za-z0-9]+(@[0-9.]+)?$/, 'Invalid color'];
+
+const WatermarkSchema = new mongoose.Schema(
+  {
+    assetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    position: { type: String, enum: POSITIONS, default: 'top-right' },
+    // Width as a fraction of the output width
+    scale: { type: Number, min: 0.02, max: 1, default: 0.15 },
+    opacity: { type: Number, min: 0, max: 1, default: 0.8 },
+    margin: { type: Number, min: 0, max: 500, default: 24 },
+  },
+  { _id: false }
+);
+
+// Lower-third text; scrolls right-to-left when `scroll` is set
+const TickerSchema = new mongoose.Schema(
+  {
+    text: { type: String, trim: true, maxlength: 2000 },
+    position: { type: String, enum: ['top', 'bottom'], default: 'bottom' },
+    scroll: { type: Boolean, default: true },
+    speed: { type: Number, min: 10, max: 1000, default: 120 }, // pixels per second
+    fontSize: { type: Number, min: 8, max: 200, default: 36 },
+    fontColor: { type: String, trim: true, match: COLOR_MATCH, default: 'white' },
+    fontAssetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    boxColor: { type: String, trim: true, match: COLOR_MATCH, default: 'black@0.6' },
+    margin: { type: Number, min: 0, max: 500, default: 24 },
+  },
+  { _id: false }
+);
+
+// Wall-clock overlay rendered with the server's timezone
+const ClockSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    format: { type: String, trim: true, default: '%H:%M:%S' }, // strftime
+    position: { type: String, enum: POSITIONS, default: 'top-left' },
+    fontSize: { type: Number, min: 8, max: 200, default: 32 },
+    fontColor: { type: String, trim: true, match: COLOR_MATCH, default: 'white' },
+    fontAssetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    boxColor: { type: String, trim: true, match: COLOR_MATCH, default: 'black@0.4' },
+    margin: { type: Number, min: 0, max: 500, default: 24 },
+  },
+  { _id: false }
+);
+
+const OverlaySchema = new mongoose.Schema(
+  {
+    watermark: { type: WatermarkSchema },
+    ticker: { type: TickerSchema },
+    clock: { type: ClockSchema },
+  },
+  { _id: false }
+);
+
+module.exports = { OverlaySchema, POSITIONS, COLOR_MATCH };
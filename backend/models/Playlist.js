@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const { DestinationSchema } = require('./Destination');
+const { OverlaySchema } = require('./Overlay');
+const { PrerollSchema } = require('./Preroll');
+const { FallbackSchema } = require('./Fallback');
+const { LoudnessSchema } = require('./Loudness');
+const { MusicBedSchema } = require('./MusicBed');
 
 const PlaylistSchema = new mongoose.Schema(
   {
@@ -11,9 +17,23 @@ const PlaylistSchema = new mongoose.Schema(
     // individual video does not have its own RTMP configuration (e.g., library videos).
     rtmpUrl: { type: String, trim: true },
     streamKey: { type: String, trim: true },
+    // Extra RTMP targets simulcast for every item of the playlist
+    destinations: { type: [DestinationSchema], default: [] },
+    // Encoding profile applied to every item (overrides the video's own profile)
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'EncodingProfile' },
+    // Overlays applied to every item (replace the video's own overlays)
+    overlays: { type: OverlaySchema },
+    // "Starting soon" slate before the first item
+    preroll: { type: PrerollSchema },
+    // Filler for every item (replaces the video's own fallback)
+    fallback: { type: FallbackSchema },
+    // Loudness normalization for every item (replaces the video's own), so items play at one level
+    loudness: { type: LoudnessSchema },
+    // Background music for every item (replaces the video's own)
+    musicBed: { type: MusicBedSchema },
     status: {
       type: String,
-      enum: ['scheduled', 'running', 'completed', 'cancelled', 'failed'],
+      enum: ['scheduled', 'running', 'completed', 'cancelled', 'failed', 'interrupted'],
       default: 'scheduled',
       index: true,
     },
@@ -23,6 +43,14 @@ const PlaylistSchema = new mongoose.Schema(
     createdBy: { type: String },
     // Repeat playlist from the beginning after the last item finishes
     loop: { type: Boolean, default: false },
+    // Finite alternative to `loop`: play the whole list this many times
+    loopCount: { type: Number, min: 1 },
+    // Full passes through the list completed in the current run
+    loopsCompleted: { type: Number, default: 0, min: 0 },
+    // Stop the playlist this many minutes after it starts
+    maxDuration: { type: Number, min: 0 },
+    // Stream all items in one continuous RTMP session instead of one per item
+    gapless: { type: Boolean, default: false },
   },
   {
     timestamps: true,
@@ -32,6 +60,20 @@ const PlaylistSchema = new mongoose.Schema(
 PlaylistSchema.index({ status: 1, scheduleTime: 1 });
 PlaylistSchema.index({ status: 1, updatedAt: 1 });
 
+// Whether to start over after the last item: until loopCount passes when set, forever with `loop`
+PlaylistSchema.methods.repeatsAfterPass = function () {
+  if (this.loopCount > 0) return (this.loopsCompleted || 0) + 1 < this.loopCount;
+  return !!this.loop;
+};
+
+// When a running playlist has to stop (maxDuration after its start); undefined without a limit
+PlaylistSchema.methods.getDeadline = function () {
+  if (!(this.maxDuration > 0) || !this.streamStartedAt) return undefined;
+  // A pre-roll puts it on air before scheduleTime; the limit counts from the scheduled start
+  const start = Math.max(this.streamStartedAt.getTime(), this.scheduleTime ? this.scheduleTime.getTime() : 0);
+  return new Date(start + this.maxDuration * 60_000);
+};
+
 PlaylistSchema.pre('save', function (next) {
   if (!Array.isArray(this.videos) || this.videos.length === 0) {
     return next(new Error('Playlist must include at least one video'));
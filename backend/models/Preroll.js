@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { COLOR_MATCH } = require('./Overlay');
+
+// Upper bound for how early a pre-roll may start (the cron looks this far ahead)
+const MAX_PREROLL_MINUTES = 60;
+
+// "Starting soon" slate streamed for `minutes` before scheduleTime, with a countdown
+const PrerollSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: false },
+    minutes: { type: Number, min: 1, max: MAX_PREROLL_MINUTES, default: 5 },
+    // Defaults to the video title / playlist name
+    title: { type: String, trim: true, maxlength: 200 },
+    message: { type: String, trim: true, maxlength: 500 },
+    backgroundAssetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+    backgroundColor: { type: String, trim: true, match: COLOR_MATCH, default: 'black' },
+    fontColor: { type: String, trim: true, match: COLOR_MATCH, default: 'white' },
+    fontAssetId: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset' },
+  },
+  { _id: false }
+);
+
+module.exports = { PrerollSchema, MAX_PREROLL_MINUTES };
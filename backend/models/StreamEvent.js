@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Notable moments of a stream run (reconnects, failures), newest last
+const StreamEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, required: true, trim: true },
+    at: { type: Date, default: Date.now },
+    position: { type: Number, min: 0 }, // seconds into the source
+    duration: { type: Number, min: 0 }, // seconds the event lasted (pauses)
+    message: { type: String },
+  },
+  { _id: false }
+);
+
+// Keep only the most recent events on the parent document
+const MAX_STREAM_EVENTS = 100;
+
+module.exports = { StreamEventSchema, MAX_STREAM_EVENTS };
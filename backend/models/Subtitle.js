@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// libass colors are given as RGB hex
+const HEX_COLOR_MATCH = [/^#?[0-9A-Fa-f]{6}$/, 'Invalid color (use #RRGGBB)'];
+
+// How burned-in captions look
+const SubtitleStyleSchema = new mongoose.Schema(
+  {
+    // Installed font family; libass falls back to its default font
+    fontName: { type: String, trim: true, maxlength: 100, match: [/^[\w .-]+$/, 'Invalid font name'] },
+    fontSize: { type: Number, min: 8, max: 96, default: 24 },
+    fontColor: { type: String, trim: true, match: HEX_COLOR_MATCH, default: '#FFFFFF' },
+    outlineColor: { type: String, trim: true, match: HEX_COLOR_MATCH, default: '#000000' },
+    outline: { type: Number, min: 0, max: 10, default: 2 },
+    bold: { type: Boolean, default: false },
+    position: { type: String, enum: ['bottom', 'top'], default: 'bottom' },
+    marginV: { type: Number, min: 0, max: 200, default: 20 },
+  },
+  { _id: false }
+);
+
+// SRT/WebVTT file stored next to the video and burned into the stream
+const SubtitleSchema = new mongoose.Schema(
+  {
+    filename: { type: String, required: true, trim: true },
+    filepath: { type: String, required: true, trim: true },
+    format: { type: String, enum: ['srt', 'vtt'], required: true },
+    originalName: { type: String, trim: true },
+    uploadedAt: { type: Date, default: Date.now },
+    enabled: { type: Boolean, default: true },
+    style: { type: SubtitleStyleSchema, default: () => ({}) },
+  },
+  { _id: false }
+);
+
+module.exports = { SubtitleSchema, SubtitleStyleSchema };
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { DestinationSchema, OutputStatusSchema, streamKeyRequired } = require('./Destination');
+const { StreamEventSchema } = require('./StreamEvent');
+const { OverlaySchema } = require('./Overlay');
+const { PrerollSchema } = require('./Preroll');
+const { FallbackSchema } = require('./Fallback');
+const { LoudnessSchema, LoudnessAnalysisSchema } = require('./Loudness');
+const { SubtitleSchema } = require('./Subtitle');
+const { MusicBedSchema } = require('./MusicBed');
 
 const VideoSchema = new mongoose.Schema(
   {
@@ -7,22 +15,54 @@ const VideoSchema = new mongoose.Schema(
     filepath: { type: String, required: true, trim: true },
     filesize: { type: Number, min: 0 },
     duration: { type: Number, min: 0 }, // seconds
+    // Optional trim points (seconds into the file); only this segment is streamed
+    startOffset: { type: Number, min: 0 },
+    endOffset: { type: Number, min: 0 },
+    // ffprobe summary captured at upload time
+    media: {
+      container: String,
+      videoCodec: String,
+      pixFmt: String,
+      width: Number,
+      height: Number,
+      fps: Number,
+      videoBitrate: Number, // kbps
+      audioCodec: String,
+      audioBitrate: Number, // kbps
+      audioSampleRate: Number,
+      audioChannels: Number,
+      bitrate: Number, // kbps (container)
+      keyframeInterval: Number, // max seconds between keyframes
+    },
+    // Whether the file can be streamed with `-c copy`, and why not
+    passthrough: {
+      compatible: { type: Boolean, default: false },
+      reason: String,
+    },
+    // auto: stream copy when compatible; transcode/copy force a mode
+    streamMode: { type: String, enum: ['auto', 'transcode', 'copy'], default: 'auto' },
     // For library items, scheduleTime can be omitted
     scheduleTime: { type: Date, required: function () { return this.status !== 'library'; }, index: true },
     // Optional planned stop time for auto-stopping the stream
     stopTime: { type: Date, required: false, index: true },
     // Optional reference to a playlist this video belongs to
     playlistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Playlist' },
-    // RTMP details: required when streaming unless playlist overrides are provided
+    // Output target (rtmp, rtmps, srt, rist or udp URL): required when streaming unless playlist overrides are provided
     rtmpUrl: { type: String, required: function () { return this.status !== 'library' && !this.usedRtmpUrl; }, trim: true },
-    streamKey: { type: String, required: function () { return this.status !== 'library' && !this.usedStreamKey; }, trim: true },
+    streamKey: {
+      type: String,
+      required: function () { return this.status !== 'library' && !this.usedStreamKey && streamKeyRequired(this.rtmpUrl || this.usedRtmpUrl); },
+      trim: true,
+    },
     status: {
       type: String,
-      enum: ['library', 'scheduled', 'streaming', 'completed', 'failed', 'cancelled'],
+      enum: ['library', 'scheduled', 'streaming', 'completed', 'failed', 'cancelled', 'interrupted'],
       default: 'scheduled',
       index: true,
     },
     progress: { type: Number, min: 0, max: 100, default: 0 },
+    // Seconds into the (trimmed) video at the last progress update; a restarted server resumes here
+    lastPosition: { type: Number, min: 0 },
     errorMessage: { type: String },
     uploadedAt: { type: Date, default: Date.now },
     streamStartedAt: { type: Date },
@@ -31,9 +71,35 @@ const VideoSchema = new mongoose.Schema(
     usedRtmpUrl: { type: String, trim: true },
     usedStreamKey: { type: String, trim: true },
     lastOutputUrl: { type: String, trim: true },
+    // Extra RTMP targets simulcast from the same encode
+    destinations: { type: [DestinationSchema], default: [] },
+    // Per-destination status of the last run (primary first)
+    outputs: { type: [OutputStatusSchema], default: [] },
+    // Recent stream history (reconnects, failures)
+    streamEvents: { type: [StreamEventSchema], default: [] },
+    // Encoding profile used when streaming (built-in default when unset)
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: 'EncodingProfile' },
+    // Watermark, ticker and clock burned into the stream (forces transcoding)
+    overlays: { type: OverlaySchema },
+    // "Starting soon" slate streamed before scheduleTime when started by the scheduler
+    preroll: { type: PrerollSchema },
+    // Filler kept on air while a failed source is retried
+    fallback: { type: FallbackSchema },
+    // Captions burned into the stream (forces transcoding)
+    subtitles: { type: SubtitleSchema },
+    // Loudness normalization of the streamed audio (forces transcoding)
+    loudness: { type: LoudnessSchema },
+    // First-pass measurement used for two-pass (linear) normalization
+    loudnessAnalysis: { type: LoudnessAnalysisSchema },
+    // Background music mixed into the stream (forces transcoding)
+    musicBed: { type: MusicBedSchema },
     createdBy: { type: String },
     // Loop this video continuously when streaming (until manual stop or stopTime)
     loop: { type: Boolean, default: false },
+    // Finite alternative to `loop`: total number of plays in one run (2 = play twice)
+    loopCount: { type: Number, min: 1 },
+    // Stop the stream this many minutes after it goes on air
+    maxDuration: { type: Number, min: 0 },
   },
   {
     timestamps: true,
@@ -68,6 +134,34 @@ VideoSchema.methods.canBeDeleted = function () {
   return ['completed', 'failed', 'cancelled'].includes(this.status);
 };
 
+// Segment that actually goes out: { start, end, duration }. `end` is undefined when
+// streaming to the end of the file; `duration` is undefined when it cannot be known.
+VideoSchema.methods.getTrimWindow = function () {
+  const start = this.startOffset > 0 ? this.startOffset : 0;
+  let end = this.endOffset > start ? this.endOffset : undefined;
+  if (end !== undefined && this.duration > 0 && end >= this.duration) end = undefined;
+  const stop = end !== undefined ? end : this.duration;
+  return { start, end, duration: stop > start ? stop - start : undefined };
+};
+
+// Plays in one run: loopCount when set, endless with `loop`, otherwise once
+VideoSchema.methods.getPlayCount = function () {
+  if (this.loopCount > 0) return this.loopCount;
+  return this.loop ? Infinity : 1;
+};
+
+// Trim points must describe a non-empty segment within the file
+VideoSchema.pre('validate', function (next) {
+  const start = this.startOffset || 0;
+  if (typeof this.endOffset === 'number' && this.endOffset <= start) {
+    this.invalidate('endOffset', 'endOffset must be greater than startOffset');
+  }
+  if (this.duration > 0 && start >= this.duration) {
+    this.invalidate('startOffset', 'startOffset must be less than the video duration');
+  }
+  next();
+});
+
 // Validation and status-driven timestamps
 VideoSchema.pre('save', function (next) {
   // Ensure scheduleTime exists for non-library items
@@ -83,7 +177,7 @@ VideoSchema.pre('save', function (next) {
   }
 
   // Stream key checks: either streamKey (>=16) or usedStreamKey (>=8) must be present when not library
-  if (this.status !== 'library') {
+  if (this.status !== 'library' && streamKeyRequired(this.rtmpUrl || this.usedRtmpUrl)) {
     const hasPrimary = typeof this.streamKey === 'string' && this.streamKey.trim().length >= 16;
     const hasOverride = typeof this.usedStreamKey === 'string' && this.usedStreamKey.trim().length >= 8;
     if (!hasPrimary && !hasOverride) {
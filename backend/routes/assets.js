@@ -0,0 +1,224 @@
+const express = require('express');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
+const path = require('path');
+const fs = require('fs');
+const Asset = require('../models/Asset');
+const Video = require('../models/Video');
+const Playlist = require('../models/Playlist');
+const ExternalJob = require('../models/ExternalJob');
+const { normalizeAudio } = require('../utils/musicbed');
+const { probeMedia } = require('../utils/probe');
+
+const router = express.Router();
+
+const assetDir = path.join(process.cwd(), 'videos', 'assets');
+if (!fs.existsSync(assetDir)) {
+  fs.mkdirSync(assetDir, { recursive: true });
+}
+
+// Asset type by file extension
+const ASSET_TYPES = {
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.webp': 'image',
+  '.ttf': 'font',
+  '.otf': 'font',
+  '.mp3': 'audio',
+  '.m4a': 'audio',
+  '.aac': 'audio',
+  '.wav': 'audio',
+  '.ogg': 'audio',
+  '.flac': 'audio',
+};
+const TYPES = [...new Set(Object.values(ASSET_TYPES))];
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, assetDir),
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const base = path.basename(file.originalname, ext).replace(/[^A-Za-z0-9._-]/g, '_');
+    cb(null, `${Date.now()}-${base}${ext}`);
+  },
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 200 * 1024 * 1024, // 200MB (uncompressed audio)
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (!ASSET_TYPES[ext]) {
+      return cb(new Error('Unsupported file type'));
+    }
+    cb(null, true);
+  },
+});
+
+function handleValidationErrors(req, res) {
+  const errs = validationResult(req);
+  if (!errs.isEmpty()) {
+    return res.status(400).json({ errors: errs.array() });
+  }
+}
+
+// Drop stored upload files that are not going to become an asset
+function discardFiles(...filepaths) {
+  for (const filepath of filepaths.filter(Boolean)) {
+    try { fs.unlinkSync(filepath); } catch (_) {}
+  }
+}
+
+// Audio is kept re-encoded to one format (see normalizeAudio); the original upload is dropped
+async function storeAudio(file) {
+  const src = path.join(assetDir, file.filename);
+  const filename = `${path.basename(file.filename, path.extname(file.filename))}-bed.m4a`;
+  const filepath = path.join(assetDir, filename);
+  try {
+    await normalizeAudio(src, filepath);
+    const { duration } = await probeMedia(filepath);
+    return { filename, filepath, mimetype: 'audio/mp4', filesize: fs.statSync(filepath).size, duration };
+  } catch (err) {
+    discardFiles(filepath);
+    throw err;
+  } finally {
+    discardFiles(src);
+  }
+}
+
+// Upload an overlay image, font or music bed track
+router.post(
+  '/',
+  upload.single('file'),
+  [body('name').optional().isString().trim().isLength({ min: 1, max: 200 })],
+  async (req, res, next) => {
+    let stored;
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return discardFiles(req.file && req.file.path);
+      if (!req.file) return res.status(400).json({ error: 'file is required' });
+      const ext = path.extname(req.file.originalname).toLowerCase();
+      const type = ASSET_TYPES[ext];
+      stored = {
+        filename: req.file.filename,
+        filepath: path.join(assetDir, req.file.filename),
+        mimetype: req.file.mimetype,
+        filesize: req.file.size,
+      };
+      if (type === 'audio') {
+        try {
+          stored = await storeAudio(req.file);
+        } catch (convErr) {
+          return res.status(400).json({ error: `Unreadable audio file: ${convErr.message}` });
+        }
+      }
+      const asset = await Asset.create({
+        name: req.body.name || path.basename(req.file.originalname, ext),
+        type,
+        ...stored,
+      });
+      return res.status(201).json(asset);
+    } catch (err) {
+      discardFiles(req.file && req.file.path, stored && stored.filepath);
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/',
+  [query('type').optional().isIn(TYPES)],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const filter = {};
+      if (req.query.type) filter.type = req.query.type;
+      const items = await Asset.find(filter).sort({ createdAt: -1 }).lean().exec();
+      return res.json(items);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.get(
+  '/:id',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const asset = await Asset.findById(req.params.id).lean().exec();
+      if (!asset) return res.status(404).json({ error: 'Asset not found' });
+      return res.json(asset);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Serve the asset file itself (previews in the UI)
+router.get(
+  '/:id/file',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const asset = await Asset.findById(req.params.id).lean().exec();
+      if (!asset) return res.status(404).json({ error: 'Asset not found' });
+      if (!fs.existsSync(asset.filepath)) return res.status(404).json({ error: 'Asset file missing' });
+      return res.sendFile(path.resolve(asset.filepath));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Delete asset unless overlays, pre-roll/fallback slates or music beds still reference it
+router.delete(
+  '/:id',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const asset = await Asset.findById(req.params.id).exec();
+      if (!asset) return res.status(404).json({ error: 'Asset not found' });
+      const ref = {
+        $or: [
+          { 'overlays.watermark.assetId': asset._id },
+          { 'overlays.ticker.fontAssetId': asset._id },
+          { 'overlays.clock.fontAssetId': asset._id },
+          { 'preroll.backgroundAssetId': asset._id },
+          { 'preroll.fontAssetId': asset._id },
+          { 'fallback.backgroundAssetId': asset._id },
+          { 'fallback.fontAssetId': asset._id },
+          { 'musicBed.tracks': asset._id },
+        ],
+      };
+      const [videos, playlists, jobs] = await Promise.all([
+        Video.countDocuments(ref).exec(),
+        Playlist.countDocuments(ref).exec(),
+        ExternalJob.countDocuments(ref).exec(),
+      ]);
+      if (videos + playlists + jobs > 0) {
+        return res.status(409).json({ error: 'Asset is in use', videos, playlists, jobs });
+      }
+      await Asset.findByIdAndDelete(asset._id).exec();
+      try {
+        if (fs.existsSync(asset.filepath)) fs.unlinkSync(asset.filepath);
+      } catch (fsErr) {
+        console.warn(`[Assets] Failed to delete file: ${fsErr.message}`);
+      }
+      return res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -3,7 +3,21 @@ const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const Playlist = require('../models/Playlist');
 const Video = require('../models/Video');
+const { streamKeyRequired } = require('../models/Destination');
+const EncodingProfile = require('../models/EncodingProfile');
 const { syncPlaylist } = require('../utils/supabase');
+const streamer = require('../utils/streamer');
+const { needsAnalysis, queueAnalysis } = require('../utils/loudness');
+const {
+  runLimitValidators,
+  streamKeyField,
+  readDestinations,
+  readOverlays,
+  readPreroll,
+  readFallback,
+  readLoudness,
+  readMusicBed,
+} = require('../utils/bodyfields');
 
 const router = express.Router();
 
@@ -14,6 +28,15 @@ function handleValidationErrors(req, res) {
   }
 }
 
+// Two-pass loudness on a playlist: measure the items that have no analysis yet
+async function analyzeItems(pl) {
+  if (!pl.loudness) return;
+  const vids = await Video.find({ _id: { $in: pl.videos } }).lean().exec();
+  for (const v of vids) {
+    if (needsAnalysis(pl.loudness, v)) await queueAnalysis(v._id);
+  }
+}
+
 // Create playlist
 router.post(
   '/',
@@ -24,14 +47,32 @@ router.post(
     body('videoIds.*').isMongoId(),
     body('scheduleTime').isISO8601(),
     body('rtmpUrl').optional().isString().trim().isLength({ min: 1 }),
-    body('streamKey').optional().isString().trim().isLength({ min: 8 }),
+    streamKeyField(8, { optional: true }),
     body('loop').optional().isBoolean().toBoolean(),
+    body('gapless').optional().isBoolean().toBoolean(),
+    body('profileId').optional({ checkFalsy: true }).isMongoId(),
+    ...runLimitValidators,
   ],
   async (req, res, next) => {
     try {
       const errResp = handleValidationErrors(req, res);
       if (errResp) return;
-      const { name, description, videoIds, scheduleTime, rtmpUrl, streamKey, loop } = req.body;
+      const { name, description, videoIds, scheduleTime, rtmpUrl, streamKey, loop, gapless, profileId } = req.body;
+      const destinations = readDestinations(req, res);
+      if (!destinations) return;
+      const overlays = await readOverlays(req, res);
+      if (overlays === false) return;
+      const preroll = await readPreroll(req, res);
+      if (preroll === false) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
+      const loudness = readLoudness(req, res);
+      if (loudness === false) return;
+      const musicBed = await readMusicBed(req, res);
+      if (musicBed === false) return;
+      if (profileId && !(await EncodingProfile.exists({ _id: profileId }))) {
+        return res.status(400).json({ error: 'Encoding profile not found' });
+      }
 
       // Verify videos exist and are not currently streaming
       const vids = await Video.find({ _id: { $in: videoIds } }).exec();
@@ -45,7 +86,7 @@ router.post(
 
       // If any selected videos are library items, RTMP details must be provided at playlist-level.
       const requiresRtmp = vids.some(v => v.status === 'library');
-      if (requiresRtmp && (!rtmpUrl || !streamKey)) {
+      if (requiresRtmp && (!rtmpUrl || (streamKeyRequired(rtmpUrl) && !streamKey))) {
         return res.status(400).json({ error: 'RTMP URL and Stream Key are required to stream library videos in a playlist' });
       }
 
@@ -58,13 +99,24 @@ router.post(
         currentIndex: 0,
         rtmpUrl: rtmpUrl || undefined,
         streamKey: streamKey || undefined,
+        destinations,
+        profileId: profileId || undefined,
+        overlays: overlays || undefined,
+        preroll: preroll || undefined,
+        fallback: fallback || undefined,
+        loudness: loudness || undefined,
+        musicBed: musicBed || undefined,
         loop: !!loop,
+        loopCount: req.body.loopCount || undefined,
+        maxDuration: req.body.maxDuration || undefined,
+        gapless: !!gapless,
       });
       await playlist.save();
       try { await syncPlaylist(playlist); } catch (_) {}
 
       // Link videos to this playlist
       await Video.updateMany({ _id: { $in: videoIds } }, { $set: { playlistId: playlist._id } }).exec();
+      analyzeItems(playlist).catch(() => {});
 
       return res.status(201).json(playlist);
     } catch (err) {
@@ -77,7 +129,7 @@ router.post(
 router.get(
   '/',
   [
-    query('status').optional().isIn(['scheduled', 'running', 'completed', 'cancelled', 'failed']),
+    query('status').optional().isIn(['scheduled', 'running', 'completed', 'cancelled', 'failed', 'interrupted']),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
     query('skip').optional().isInt({ min: 0 }).toInt(),
   ],
@@ -114,6 +166,55 @@ router.get(
   }
 );
 
+// Live state of a playlist: the item on air and its progress
+router.get(
+  '/:id/status',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const pl = await Playlist.findById(req.params.id).lean().exec();
+      if (!pl) return res.status(404).json({ error: 'Playlist not found' });
+      const session = streamer.getPlaylistSession(pl._id);
+      // currentIndex points at the next item once one has started
+      const index = session ? session.index : pl.currentIndex - 1;
+      const videoId = index >= 0 && pl.videos[index] ? String(pl.videos[index]) : null;
+      const item = videoId ? streamer.getStreamStatus(videoId) : null;
+      return res.json({
+        id: String(pl._id),
+        status: pl.status,
+        gapless: !!pl.gapless,
+        loop: !!pl.loop,
+        loopCount: pl.loopCount,
+        // 1-based pass through the list
+        pass: (pl.loopsCompleted || 0) + 1,
+        maxDuration: pl.maxDuration,
+        deadline: pl.status === 'running' ? Playlist.hydrate(pl).getDeadline() : undefined,
+        currentIndex: pl.currentIndex,
+        total: pl.videos.length,
+        session: !!session,
+        sessionStartedAt: session ? session.startedAt : undefined,
+        outputUrl: session ? session.outputUrl : undefined,
+        current: item && item.active
+          ? {
+            index,
+            videoId,
+            progress: item.progress,
+            position: item.position,
+            duration: item.duration,
+            projectedEndAt: item.projectedEndAt,
+            reconnecting: item.reconnecting,
+            fallback: item.fallback,
+          }
+          : null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // Update playlist (name, description, scheduleTime, videos)
 router.put(
   '/:id',
@@ -125,8 +226,11 @@ router.put(
     body('videoIds').optional().isArray({ min: 1 }),
     body('videoIds.*').optional().isMongoId(),
     body('rtmpUrl').optional().isString().trim().isLength({ min: 1 }),
-    body('streamKey').optional().isString().trim().isLength({ min: 8 }),
+    streamKeyField(8, { optional: true }),
     body('loop').optional().isBoolean().toBoolean(),
+    body('gapless').optional().isBoolean().toBoolean(),
+    body('profileId').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+    ...runLimitValidators,
   ],
   async (req, res, next) => {
     try {
@@ -136,13 +240,45 @@ router.put(
       if (!pl) return res.status(404).json({ error: 'Playlist not found' });
       if (pl.status === 'running') return res.status(400).json({ error: 'Cannot modify a running playlist' });
 
-      const { name, description, scheduleTime, videoIds, rtmpUrl, streamKey, loop } = req.body;
+      const { name, description, scheduleTime, videoIds, rtmpUrl, streamKey, loop, gapless } = req.body;
+      if (req.body.destinations !== undefined) {
+        const destinations = readDestinations(req, res);
+        if (!destinations) return;
+        pl.destinations = destinations;
+      }
+      const overlays = await readOverlays(req, res);
+      if (overlays === false) return;
+      const preroll = await readPreroll(req, res);
+      if (preroll === false) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
+      const loudness = readLoudness(req, res);
+      if (loudness === false) return;
+      const musicBed = await readMusicBed(req, res);
+      if (musicBed === false) return;
+      if (overlays !== undefined) pl.overlays = overlays || undefined;
+      if (preroll !== undefined) pl.preroll = preroll || undefined;
+      if (fallback !== undefined) pl.fallback = fallback || undefined;
+      if (loudness !== undefined) pl.loudness = loudness || undefined;
+      if (musicBed !== undefined) pl.musicBed = musicBed || undefined;
       if (name) pl.name = name;
       if (description) pl.description = description;
       if (scheduleTime) pl.scheduleTime = new Date(scheduleTime);
       if (rtmpUrl) pl.rtmpUrl = rtmpUrl;
       if (streamKey) pl.streamKey = streamKey;
       if (typeof loop === 'boolean') pl.loop = loop;
+      if (typeof gapless === 'boolean') pl.gapless = gapless;
+      // null or '' clears a limit
+      for (const f of ['loopCount', 'maxDuration']) {
+        if (req.body[f] === null || req.body[f] === '') pl[f] = undefined;
+        else if (typeof req.body[f] === 'number') pl[f] = req.body[f];
+      }
+      if (req.body.profileId !== undefined) {
+        if (req.body.profileId && !(await EncodingProfile.exists({ _id: req.body.profileId }))) {
+          return res.status(400).json({ error: 'Encoding profile not found' });
+        }
+        pl.profileId = req.body.profileId || undefined;
+      }
       if (Array.isArray(videoIds) && videoIds.length > 0) {
         const vids = await Video.find({ _id: { $in: videoIds } }).exec();
         if (vids.length !== videoIds.length) {
@@ -157,6 +293,7 @@ router.put(
       }
       await pl.save();
       try { await syncPlaylist(pl); } catch (_) {}
+      analyzeItems(pl).catch(() => {});
       return res.json(pl);
     } catch (err) {
       next(err);
@@ -176,6 +313,8 @@ router.post(
       if (!pl) return res.status(404).json({ error: 'Playlist not found' });
       pl.status = 'cancelled';
       await pl.save();
+      // A gapless run is one session; end it rather than leaving the current item on air
+      await streamer.stopPlaylistSession(pl._id);
       try { await syncPlaylist(pl); } catch (_) {}
       await Video.updateMany({ playlistId: pl._id }, { $unset: { playlistId: '' } }).exec();
       return res.json({ success: true });
@@ -0,0 +1,138 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const EncodingProfile = require('../models/EncodingProfile');
+const Video = require('../models/Video');
+const Playlist = require('../models/Playlist');
+const ExternalJob = require('../models/ExternalJob');
+const { DEFAULT_PROFILE } = require('../utils/encoding');
+
+const router = express.Router();
+
+const FIELDS = ['name', 'description', 'width', 'height', 'fps', 'videoBitrate', 'bufsize', 'preset', 'keyframeSeconds', 'audioBitrate', 'audioSampleRate', 'audioChannels'];
+
+function handleValidationErrors(req, res) {
+  const errs = validationResult(req);
+  if (!errs.isEmpty()) {
+    return res.status(400).json({ errors: errs.array() });
+  }
+}
+
+// Shared field validators; ranges mirror the EncodingProfile schema
+function profileValidators(optional) {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 100 }),
+    body('description').optional().isString().trim(),
+    field('width').isInt({ min: 160, max: 3840 }).toInt(),
+    field('height').isInt({ min: 120, max: 2160 }).toInt(),
+    body('fps').optional({ nullable: true }).isInt({ min: 10, max: 60 }).toInt(),
+    field('videoBitrate').isInt({ min: 300, max: 20000 }).toInt(),
+    body('bufsize').optional({ nullable: true }).isInt({ min: 300, max: 40000 }).toInt(),
+    body('preset').optional().isIn(EncodingProfile.PRESETS),
+    body('keyframeSeconds').optional().isFloat({ min: 1, max: 4 }).toFloat(),
+    body('audioBitrate').optional().isInt({ min: 32, max: 320 }).toInt(),
+    body('audioSampleRate').optional().isIn([44100, 48000]).toInt(),
+    body('audioChannels').optional().isIn([1, 2]).toInt(),
+  ];
+}
+
+function pickFields(src) {
+  const out = {};
+  for (const f of FIELDS) {
+    if (src[f] !== undefined) out[f] = src[f];
+  }
+  return out;
+}
+
+// List profiles (the built-in default is reported separately)
+router.get('/', async (req, res, next) => {
+  try {
+    const items = await EncodingProfile.find({}).sort({ name: 1 }).lean().exec();
+    return res.json({ profiles: items, default: DEFAULT_PROFILE });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get(
+  '/:id',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const profile = await EncodingProfile.findById(req.params.id).lean().exec();
+      if (!profile) return res.status(404).json({ error: 'Profile not found' });
+      return res.json(profile);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.post(
+  '/',
+  profileValidators(false),
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const profile = await EncodingProfile.create(pickFields(req.body));
+      return res.status(201).json(profile);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.put(
+  '/:id',
+  [param('id').isMongoId(), ...profileValidators(true)],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const profile = await EncodingProfile.findById(req.params.id).exec();
+      if (!profile) return res.status(404).json({ error: 'Profile not found' });
+      const updates = pickFields(req.body);
+      // Explicit nulls clear optional fields
+      for (const f of ['fps', 'bufsize']) {
+        if (req.body[f] === null) updates[f] = undefined;
+      }
+      profile.set(updates);
+      await profile.save();
+      return res.json(profile);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Delete profile unless videos, playlists or jobs still reference it
+router.delete(
+  '/:id',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const profile = await EncodingProfile.findById(req.params.id).exec();
+      if (!profile) return res.status(404).json({ error: 'Profile not found' });
+      const ref = { profileId: profile._id };
+      const [videos, playlists, jobs] = await Promise.all([
+        Video.countDocuments(ref).exec(),
+        Playlist.countDocuments(ref).exec(),
+        ExternalJob.countDocuments({ ...ref, status: { $in: ['scheduled', 'streaming'] } }).exec(),
+      ]);
+      if (videos + playlists + jobs > 0) {
+        return res.status(409).json({ error: 'Profile is in use', videos, playlists, jobs });
+      }
+      await EncodingProfile.findByIdAndDelete(profile._id).exec();
+      return res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { findResolver, listResolvers, resolveSource } = require('../utils/resolvers');
+const { rateLimit, requireAuth } = require('../middleware/guards');
+
+const router = express.Router();
+
+function handleValidationErrors(req, res) {
+  const errs = validationResult(req);
+  if (!errs.isEmpty()) {
+    return res.status(400).json({ errors: errs.array() });
+  }
+}
+
+// Registered source resolvers, in the order URLs are matched against them
+router.get('/', (req, res) => {
+  return res.json({ resolvers: listResolvers() });
+});
+
+// Show what a source URL would resolve to, without starting a stream
+router.post(
+  '/test',
+  rateLimit(15, 60_000),
+  requireAuth,
+  [
+    body('url').isString().trim().isLength({ min: 1 }),
+    body('seekSeconds').optional().isFloat({ min: 0 }).toFloat(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const { url } = req.body;
+      const resolver = findResolver(url);
+      if (!resolver) return res.status(400).json({ error: `Unsupported source URL: ${url}` });
+      try {
+        const result = await resolveSource(url, { seekSeconds: req.body.seekSeconds || 0, dryRun: true });
+        return res.json({
+          url,
+          resolver: { name: resolver.name, label: resolver.label || resolver.name },
+          quality: resolver.quality,
+          input: result.input,
+          via: result.via,
+          seekable: result.seekable,
+          inputOptions: result.inputOptions,
+        });
+      } catch (resolveErr) {
+        return res.status(400).json({ error: resolveErr.message, resolver: resolver.name });
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+module.exports = router;
@@ -4,12 +4,28 @@ const multer = require('multer');
 const { body, param, query, validationResult } = require('express-validator');
 const path = require('path');
 const fs = require('fs');
-const ffmpeg = require('../utils/ffmpeg');
+const { probeMedia } = require('../utils/probe');
 const Video = require('../models/Video');
+const { streamKeyRequired } = require('../models/Destination');
+const EncodingProfile = require('../models/EncodingProfile');
 const streamer = require('../utils/streamer');
 const { syncVideo } = require('../utils/supabase');
-const net = require('net');
-const tls = require('tls');
+const { buildOutputUrl, probeOutput } = require('../utils/outputs');
+const { needsAnalysis, queueAnalysis } = require('../utils/loudness');
+const { SUBTITLE_FORMATS, parseSubtitleStyle, prepareSubtitles, storeSubtitles, removeSubtitleFile } = require('../utils/subtitles');
+const { MAX_LOG_LINES, removeStreamLog } = require('../utils/streamlog');
+const { findResolver } = require('../utils/resolvers');
+const { rateLimit, optionalAuth, requireAuth } = require('../middleware/guards');
+const {
+  runLimitValidators,
+  streamKeyField,
+  readDestinations,
+  readOverlays,
+  readPreroll,
+  readFallback,
+  readLoudness,
+  readMusicBed,
+} = require('../utils/bodyfields');
 
 const router = express.Router();
 
@@ -19,6 +35,15 @@ if (!fs.existsSync(uploadDir)) {
 }
 
 const allowedExts = ['.mp4', '.avi', '.mov', '.mkv', '.flv'];
+const STREAM_MODES = ['auto', 'transcode', 'copy'];
+// Multipart field carrying an optional SRT/WebVTT file
+const SUBTITLE_FIELD = 'subtitles';
+
+// Optional trim points in seconds; null clears them on update
+const trimValidators = [
+  body('startOffset').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).toFloat(),
+  body('endOffset').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).toFloat(),
+];
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadDir),
   filename: (req, file, cb) => {
@@ -36,13 +61,36 @@ const upload = multer({
   },
   fileFilter: (req, file, cb) => {
     const ext = path.extname(file.originalname).toLowerCase();
-    if (!allowedExts.includes(ext)) {
+    const allowed = file.fieldname === SUBTITLE_FIELD ? !!SUBTITLE_FORMATS[ext] : allowedExts.includes(ext);
+    if (!allowed) {
       return cb(new Error('Unsupported file type'));
     }
     cb(null, true);
   },
 });
 
+// Accept the video in `field` plus optional subtitles; exposes them as req.file and req.subtitleFile.
+// Stored files (including subtitles already moved next to the video) are removed unless the request succeeds.
+function uploadVideo(field) {
+  const handler = upload.fields([{ name: field, maxCount: 1 }, { name: SUBTITLE_FIELD, maxCount: 1 }]);
+  return (req, res, next) => handler(req, res, (err) => {
+    res.on('finish', () => {
+      if (res.statusCode >= 400) discardUpload(req);
+    });
+    if (err) return next(err);
+    const files = req.files || {};
+    req.file = files[field] && files[field][0];
+    req.subtitleFile = files[SUBTITLE_FIELD] && files[SUBTITLE_FIELD][0];
+    next();
+  });
+}
+
+function discardUpload(req) {
+  const files = Object.values(req.files || {}).flat();
+  for (const file of files) fs.unlink(file.path, () => {});
+  if (req.storedSubtitles) removeSubtitleFile(req.storedSubtitles);
+}
+
 function handleValidationErrors(req, res) {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -50,50 +98,113 @@ function handleValidationErrors(req, res) {
   }
 }
 
-// Simple in-memory rate limiter (per IP + path)
-const rateBuckets = new Map();
-function rateLimit(maxPerWindow, windowMs) {
-  return (req, res, next) => {
-    const key = `${req.ip}:${req.path}`;
-    const now = Date.now();
-    const bucket = rateBuckets.get(key) || { count: 0, resetAt: now + windowMs };
-    if (now > bucket.resetAt) {
-      bucket.count = 0;
-      bucket.resetAt = now + windowMs;
-    }
-    bucket.count += 1;
-    rateBuckets.set(key, bucket);
-    if (bucket.count > maxPerWindow) {
-      return res.status(429).json({ error: 'Too many requests. Please try again later.' });
+// Verify an optional profileId references an existing profile; responds 400 when missing
+async function checkProfile(req, res) {
+  const profileId = req.body.profileId;
+  if (!profileId) return true;
+  if (await EncodingProfile.exists({ _id: profileId })) return true;
+  res.status(400).json({ error: 'Encoding profile not found' });
+  return false;
+}
+
+// Source to swap into a running stream: { video } or { url, live }; responds and returns null when invalid
+async function readSwapSource(req, res) {
+  const { videoId, sourceUrl } = req.body;
+  if (!videoId === !sourceUrl) {
+    res.status(400).json({ error: 'Provide either videoId or sourceUrl' });
+    return null;
+  }
+  if (sourceUrl) {
+    if (!findResolver(sourceUrl)) {
+      res.status(400).json({ error: `Unsupported source URL: ${sourceUrl}` });
+      return null;
     }
-    next();
-  };
+    return { url: sourceUrl, live: !!req.body.live };
+  }
+  const video = await Video.findById(videoId);
+  if (!video) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+  if (!video.filepath || !fs.existsSync(path.resolve(video.filepath))) {
+    res.status(404).json({ error: 'Video file not found on disk' });
+    return null;
+  }
+  return { video };
+}
+
+const swapValidators = [
+  body('videoId').optional({ checkFalsy: true }).isMongoId(),
+  body('sourceUrl').optional({ checkFalsy: true }).isString().trim(),
+  body('live').optional().isBoolean().toBoolean(),
+];
+
+// Map a failed swap to a response
+function sendSwapError(res, err) {
+  const msg = err && err.message ? err.message : 'Failed to swap the source';
+  if (/No active stream/i.test(msg)) return res.status(400).json({ error: msg });
+  if (/paused|reconnecting|pre-roll|Passthrough streams/i.test(msg)) return res.status(409).json({ error: msg });
+  if (/Unsupported source|Local source|not found|Not a valid|Could not read/i.test(msg)) return res.status(400).json({ error: msg });
+  return res.status(500).json({ error: msg });
+}
+
+// Map a failed pause or resume to a response
+function sendHoldError(res, err, action) {
+  const msg = err && err.message ? err.message : `Failed to ${action} stream`;
+  if (/No active stream/i.test(msg)) return res.status(400).json({ error: msg });
+  if (/already paused|not paused|reconnecting|pre-roll|Passthrough streams/i.test(msg)) return res.status(409).json({ error: msg });
+  return res.status(500).json({ error: msg });
 }
 
-// Auth placeholders
-function optionalAuth(req, _res, next) {
-  // TODO: parse Authorization header and populate req.user
-  req.user = null;
-  next();
+// Validate uploaded subtitles and store them next to the video file; responds 400 and returns false when invalid
+function readSubtitles(req, res, videoFilepath) {
+  if (!req.subtitleFile) return undefined;
+  try {
+    const style = parseSubtitleStyle(req.body.subtitleStyle);
+    req.storedSubtitles = storeSubtitles(req.subtitleFile, videoFilepath, style);
+    return req.storedSubtitles;
+  } catch (err) {
+    try { fs.unlinkSync(req.subtitleFile.path); } catch (_) {}
+    res.status(400).json({ error: err.message });
+    return false;
+  }
 }
-function requireAuth(req, res, next) {
-  // TODO: enforce authentication
-  // For now, allow all requests
-  // Example: if (!req.user) return res.status(401).json({ error: 'Unauthorized' });
-  next();
+
+// Send a stream's ffmpeg log as JSON, or as a text file with ?download=true
+function sendStreamLog(req, res, streamId) {
+  const log = streamer.getStreamLog(streamId);
+  if (!log) return res.status(404).json({ error: 'No log recorded for this stream' });
+  const count = Number(req.query.lines) || 0;
+  const lines = count > 0 ? log.lines.slice(-count) : log.lines;
+  res.set('Cache-Control', 'no-store');
+  if (req.query.download === 'true') {
+    res.attachment(`${String(streamId).replace(/[^A-Za-z0-9_-]/g, '_')}.log`);
+    res.type('text/plain');
+    return res.send(lines.length ? `${lines.join('\n')}\n` : '');
+  }
+  return res.json({ id: streamId, active: log.active, savedAt: log.savedAt, lines });
 }
 
+const logQueryValidators = [
+  query('lines').optional().isInt({ min: 1, max: MAX_LOG_LINES }),
+  query('download').optional().isIn(['true', 'false']),
+];
+
 // 1. POST /upload
 router.post(
   '/upload',
-  upload.single('video'),
+  uploadVideo('video'),
   [
     body('title').isString().trim().isLength({ min: 1 }),
     body('scheduleTime').isISO8601(),
     body('stopTime').optional().isISO8601(),
     body('rtmpUrl').isString().trim().isLength({ min: 1 }),
-    body('streamKey').isString().trim().isLength({ min: 16 }),
+    streamKeyField(16),
     body('loop').optional().isBoolean().toBoolean(),
+    body('profileId').optional({ checkFalsy: true }).isMongoId(),
+    body('streamMode').optional().isIn(STREAM_MODES),
+    ...trimValidators,
+    ...runLimitValidators,
   ],
   async (req, res, next) => {
     try {
@@ -101,25 +212,28 @@ router.post(
       if (errResp) return;
 
       if (!req.file) return res.status(400).json({ error: 'video file is required' });
+      const destinations = readDestinations(req, res);
+      if (!destinations) return;
+      if (!(await checkProfile(req, res))) return;
+      const overlays = await readOverlays(req, res);
+      if (overlays === false) return;
+      const preroll = await readPreroll(req, res);
+      if (preroll === false) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
+      const loudness = readLoudness(req, res);
+      if (loudness === false) return;
+      const musicBed = await readMusicBed(req, res);
+      if (musicBed === false) return;
 
       const filepath = path.join(uploadDir, req.file.filename);
+      const subtitles = readSubtitles(req, res, filepath);
+      if (subtitles === false) return;
       const filesize = req.file.size;
       const scheduleTime = new Date(req.body.scheduleTime);
       const stopTime = req.body.stopTime ? new Date(req.body.stopTime) : undefined;
 
-      let duration = undefined;
-      try {
-        await new Promise((resolve) => {
-          ffmpeg.ffprobe(filepath, (err, data) => {
-            if (err) return resolve();
-            const streams = (data && data.streams) || [];
-            const vStream = streams.find((s) => s.codec_type === 'video');
-            const dur = (data.format && data.format.duration) || (vStream && vStream.duration);
-            duration = dur ? Math.round(Number(dur)) : undefined;
-            resolve();
-          });
-        });
-      } catch (_) {}
+      const { duration, media, passthrough } = await probeMedia(filepath);
 
       const video = await Video.create({
         title: req.body.title,
@@ -127,14 +241,31 @@ router.post(
         filepath,
         filesize,
         duration,
+        media,
+        passthrough,
+        streamMode: req.body.streamMode || 'auto',
+        startOffset: req.body.startOffset || undefined,
+        endOffset: req.body.endOffset || undefined,
         scheduleTime,
         stopTime,
         rtmpUrl: req.body.rtmpUrl,
         streamKey: req.body.streamKey,
+        destinations,
+        profileId: req.body.profileId || undefined,
+        overlays: overlays || undefined,
+        preroll: preroll || undefined,
+        fallback: fallback || undefined,
+        loudness: loudness || undefined,
+        musicBed: musicBed || undefined,
+        subtitles: subtitles || undefined,
         loop: !!req.body.loop,
+        loopCount: req.body.loopCount || undefined,
+        maxDuration: req.body.maxDuration || undefined,
         status: 'scheduled',
       });
       try { await syncVideo(video); } catch (_) {}
+      // Two-pass loudness: measure the file in the background
+      if (needsAnalysis(video.loudness, video)) queueAnalysis(video._id).catch(() => {});
       res.status(201).json(video);
     } catch (err) {
       next(err);
@@ -145,40 +276,47 @@ router.post(
 // Legacy: keep existing simple POST / for compatibility (frontend may rely on it)
 router.post(
   '/',
-  upload.single('file'),
+  uploadVideo('file'),
   [
     body('title').isString().trim().isLength({ min: 1 }),
     body('scheduledAt').optional().isISO8601(),
     body('scheduleTime').optional().isISO8601(),
     body('stopTime').optional().isISO8601(),
     body('rtmpUrl').isString().trim().isLength({ min: 1 }),
-    body('streamKey').isString().trim().isLength({ min: 16 }),
+    streamKeyField(16),
     body('loop').optional().isBoolean().toBoolean(),
+    body('profileId').optional({ checkFalsy: true }).isMongoId(),
+    body('streamMode').optional().isIn(STREAM_MODES),
+    ...trimValidators,
+    ...runLimitValidators,
   ],
   async (req, res, next) => {
     try {
       const errResp = handleValidationErrors(req, res);
       if (errResp) return;
       if (!req.file) return res.status(400).json({ error: 'File is required' });
+      const destinations = readDestinations(req, res);
+      if (!destinations) return;
+      if (!(await checkProfile(req, res))) return;
+      const overlays = await readOverlays(req, res);
+      if (overlays === false) return;
+      const preroll = await readPreroll(req, res);
+      if (preroll === false) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
+      const loudness = readLoudness(req, res);
+      if (loudness === false) return;
+      const musicBed = await readMusicBed(req, res);
+      if (musicBed === false) return;
 
       const scheduledAt = req.body.scheduleTime || req.body.scheduledAt; // virtual handles scheduledAt
       const stopTime = req.body.stopTime ? new Date(req.body.stopTime) : undefined;
       const filepath = path.join(uploadDir, req.file.filename);
+      const subtitles = readSubtitles(req, res, filepath);
+      if (subtitles === false) return;
       const filesize = req.file.size;
 
-      let duration = undefined;
-      try {
-        await new Promise((resolve) => {
-          ffmpeg.ffprobe(filepath, (err, data) => {
-            if (err) return resolve();
-            const streams = (data && data.streams) || [];
-            const vStream = streams.find((s) => s.codec_type === 'video');
-            const dur = (data.format && data.format.duration) || (vStream && vStream.duration);
-            duration = dur ? Math.round(Number(dur)) : undefined;
-            resolve();
-          });
-        });
-      } catch (_) {}
+      const { duration, media, passthrough } = await probeMedia(filepath);
 
       const video = await Video.create({
         title: req.body.title,
@@ -186,14 +324,31 @@ router.post(
         filepath,
         filesize,
         duration,
+        media,
+        passthrough,
+        streamMode: req.body.streamMode || 'auto',
+        startOffset: req.body.startOffset || undefined,
+        endOffset: req.body.endOffset || undefined,
         scheduledAt, // virtual maps to scheduleTime
         stopTime,
         rtmpUrl: req.body.rtmpUrl,
         streamKey: req.body.streamKey,
+        destinations,
+        profileId: req.body.profileId || undefined,
+        overlays: overlays || undefined,
+        preroll: preroll || undefined,
+        fallback: fallback || undefined,
+        loudness: loudness || undefined,
+        musicBed: musicBed || undefined,
+        subtitles: subtitles || undefined,
         loop: !!req.body.loop,
+        loopCount: req.body.loopCount || undefined,
+        maxDuration: req.body.maxDuration || undefined,
         status: 'scheduled',
       });
       try { await syncVideo(video); } catch (_) {}
+      // Two-pass loudness: measure the file in the background
+      if (needsAnalysis(video.loudness, video)) queueAnalysis(video._id).catch(() => {});
       res.status(201).json(video);
     } catch (err) {
       next(err);
@@ -205,7 +360,7 @@ router.post(
 router.get(
   '/',
   [
-    query('status').optional().isIn(['library', 'scheduled', 'streaming', 'completed', 'failed', 'cancelled']),
+    query('status').optional().isIn(['library', 'scheduled', 'streaming', 'completed', 'failed', 'cancelled', 'interrupted']),
     query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
     query('skip').optional().isInt({ min: 0 }).toInt(),
   ],
@@ -239,32 +394,36 @@ router.get(
 // Upload to library (unscheduled, store for later)
 router.post(
   '/library',
-  upload.single('file'),
+  uploadVideo('file'),
   [
     body('title').isString().trim().isLength({ min: 1 }),
+    body('profileId').optional({ checkFalsy: true }).isMongoId(),
+    body('streamMode').optional().isIn(STREAM_MODES),
+    ...trimValidators,
   ],
   async (req, res, next) => {
     try {
       const errResp = handleValidationErrors(req, res);
       if (errResp) return;
       if (!req.file) return res.status(400).json({ error: 'File is required' });
+      if (!(await checkProfile(req, res))) return;
+      const overlays = await readOverlays(req, res);
+      if (overlays === false) return;
+      const preroll = await readPreroll(req, res);
+      if (preroll === false) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
+      const loudness = readLoudness(req, res);
+      if (loudness === false) return;
+      const musicBed = await readMusicBed(req, res);
+      if (musicBed === false) return;
 
       const filepath = path.join(uploadDir, req.file.filename);
+      const subtitles = readSubtitles(req, res, filepath);
+      if (subtitles === false) return;
       const filesize = req.file.size;
 
-      let duration = undefined;
-      try {
-        await new Promise((resolve) => {
-          ffmpeg.ffprobe(filepath, (err, data) => {
-            if (err) return resolve();
-            const streams = (data && data.streams) || [];
-            const vStream = streams.find((s) => s.codec_type === 'video');
-            const dur = (data.format && data.format.duration) || (vStream && vStream.duration);
-            duration = dur ? Math.round(Number(dur)) : undefined;
-            resolve();
-          });
-        });
-      } catch (_) {}
+      const { duration, media, passthrough } = await probeMedia(filepath);
 
       const video = await Video.create({
         title: req.body.title,
@@ -272,9 +431,23 @@ router.post(
         filepath,
         filesize,
         duration,
+        media,
+        passthrough,
+        streamMode: req.body.streamMode || 'auto',
+        startOffset: req.body.startOffset || undefined,
+        endOffset: req.body.endOffset || undefined,
+        profileId: req.body.profileId || undefined,
+        overlays: overlays || undefined,
+        preroll: preroll || undefined,
+        fallback: fallback || undefined,
+        loudness: loudness || undefined,
+        musicBed: musicBed || undefined,
+        subtitles: subtitles || undefined,
         status: 'library',
       });
       try { await syncVideo(video); } catch (_) {}
+      // Two-pass loudness: measure the file in the background
+      if (needsAnalysis(video.loudness, video)) queueAnalysis(video._id).catch(() => {});
       res.status(201).json(video);
     } catch (err) {
       next(err);
@@ -283,7 +456,7 @@ router.post(
 );
 
 // URL-based external streaming routes (placed BEFORE any ':id/stream/*' to avoid route shadowing)
-// POST /url/stream/start — start streaming from a direct URL (YouTube supported)
+// POST /url/stream/start — start streaming from a source URL (optional `live` relay mode)
 router.post(
   '/url/stream/start',
   rateLimit(5, 60_000),
@@ -291,19 +464,28 @@ router.post(
   [
     body('sourceUrl').isString().trim().isLength({ min: 1 }),
     body('rtmpUrl').isString().trim().isLength({ min: 1 }),
-    body('streamKey').isString().trim().isLength({ min: 8 }),
+    streamKeyField(8),
+    body('profileId').optional({ checkFalsy: true }).isMongoId(),
+    body('live').optional().isBoolean().toBoolean(),
+    ...runLimitValidators,
   ],
   async (req, res, next) => {
     try {
       const errResp = handleValidationErrors(req, res);
       if (errResp) return;
-      const { sourceUrl, rtmpUrl, streamKey } = req.body;
+      const { sourceUrl, rtmpUrl, streamKey, profileId, live, loopCount, maxDuration } = req.body;
+      const destinations = readDestinations(req, res);
+      if (!destinations) return;
+      if (!(await checkProfile(req, res))) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
       try {
-        const { streamId } = await streamer.startUrlStream(sourceUrl, { rtmpUrl, streamKey });
+        const { streamId } = await streamer.startUrlStream(sourceUrl, { rtmpUrl, streamKey, destinations, profileId, fallback, live, loopCount, maxDuration });
         return res.json({ success: true, message: 'External stream started', streamId });
       } catch (err) {
         const msg = err && err.message ? err.message : 'Failed to start external stream';
-        if (/Invalid RTMP URL|stream key/i.test(msg)) return res.status(400).json({ error: msg });
+        if (/already active|capacity/i.test(msg)) return res.status(409).json({ error: msg });
+        if (/Invalid output URL|stream key|Unsupported source|Local source|Maximum duration/i.test(msg)) return res.status(400).json({ error: msg });
         return res.status(500).json({ error: msg });
       }
     } catch (err) {
@@ -320,9 +502,12 @@ router.post(
   [
     body('sourceUrl').isString().trim().isLength({ min: 1 }),
     body('rtmpUrl').isString().trim().isLength({ min: 1 }),
-    body('streamKey').isString().trim().isLength({ min: 8 }),
+    streamKeyField(8),
     body('scheduleTime').isISO8601().toDate(),
     body('stopTime').optional({ nullable: true }).isISO8601().toDate(),
+    body('profileId').optional({ checkFalsy: true }).isMongoId(),
+    body('live').optional().isBoolean().toBoolean(),
+    ...runLimitValidators,
   ],
   async (req, res, next) => {
     try {
@@ -333,7 +518,17 @@ router.post(
       if (new Date(scheduleTime) < new Date()) {
         return res.status(400).json({ error: 'Schedule time must be in the future' });
       }
-      const job = await ExternalJob.create({ sourceUrl, rtmpUrl, streamKey, scheduleTime, stopTime, status: 'scheduled' });
+      if (!findResolver(sourceUrl)) return res.status(400).json({ error: `Unsupported source URL: ${sourceUrl}` });
+      const destinations = readDestinations(req, res);
+      if (!destinations) return;
+      if (!(await checkProfile(req, res))) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
+      const profileId = req.body.profileId || undefined;
+      const job = await ExternalJob.create({
+        sourceUrl, rtmpUrl, streamKey, destinations, profileId, fallback: fallback || undefined, live: !!req.body.live, scheduleTime, stopTime,
+        loopCount: req.body.loopCount || undefined, maxDuration: req.body.maxDuration || undefined, status: 'scheduled',
+      });
       return res.status(201).json({ success: true, jobId: job._id, message: 'External URL stream scheduled' });
     } catch (err) { next(err); }
   }
@@ -434,6 +629,74 @@ router.post(
   }
 );
 
+// POST /url/stream/pause — hold an external stream on a slate (see /:id/stream/pause)
+router.post(
+  '/url/stream/pause',
+  rateLimit(5, 60_000),
+  requireAuth,
+  [body('streamId').isString().trim().isLength({ min: 1 }), body('message').optional({ checkFalsy: true }).isString().trim().isLength({ max: 200 })],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      try {
+        const paused = await streamer.pauseStream(req.body.streamId, { message: req.body.message || undefined });
+        return res.json({ success: true, message: 'Stream paused', paused });
+      } catch (err) {
+        return sendHoldError(res, err, 'pause');
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /url/stream/resume — continue a paused external stream; a live source rejoins at the live edge
+router.post(
+  '/url/stream/resume',
+  rateLimit(5, 60_000),
+  requireAuth,
+  [body('streamId').isString().trim().isLength({ min: 1 })],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      try {
+        const { position, seconds } = await streamer.resumeStream(req.body.streamId);
+        return res.json({ success: true, message: 'Stream resumed', position, pausedSeconds: seconds });
+      } catch (err) {
+        return sendHoldError(res, err, 'resume');
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /url/stream/swap — replace the source of an external stream (videoId or sourceUrl) without dropping its outputs
+router.post(
+  '/url/stream/swap',
+  rateLimit(5, 60_000),
+  requireAuth,
+  [body('streamId').isString().trim().isLength({ min: 1 }), ...swapValidators],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const source = await readSwapSource(req, res);
+      if (!source) return;
+      try {
+        const swapped = await streamer.swapSource(req.body.streamId, source);
+        return res.json({ success: true, message: 'Source swapped', source: swapped });
+      } catch (err) {
+        return sendSwapError(res, err);
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // GET /url/stream/status/:id — check external stream status
 router.get(
   '/url/stream/status/:id',
@@ -447,7 +710,39 @@ router.get(
       const status = streamer.getStreamStatus(req.params.id);
       res.set('Cache-Control', 'no-store');
       if (!status || !status.active) return res.json({ active: false, error: status && status.error });
-      return res.json({ active: true, startedAt: status.startedAt, progress: status.progress || 0, outputUrl: status.outputUrl });
+      return res.json({
+        active: true,
+        startedAt: status.startedAt,
+        progress: status.progress || 0,
+        outputUrl: status.outputUrl,
+        destinations: status.destinations,
+        live: status.live,
+        source: status.source,
+        reconnecting: status.reconnecting,
+        reconnectAttempts: status.reconnectAttempts,
+        fallback: status.fallback,
+        paused: status.paused,
+        pausedSeconds: status.pausedSeconds,
+        telemetry: status.telemetry,
+        lastError: status.lastError,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// GET /url/stream/logs/:id — ffmpeg log of an external stream (live while running, saved once over)
+router.get(
+  '/url/stream/logs/:id',
+  rateLimit(15, 60_000),
+  requireAuth,
+  [param('id').isString().trim().matches(/^url:[\w-]+$/), ...logQueryValidators],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      return sendStreamLog(req, res, req.params.id);
     } catch (err) {
       next(err);
     }
@@ -480,9 +775,13 @@ router.put(
     body('scheduleTime').optional().isISO8601(),
     body('stopTime').optional().isISO8601(),
     body('rtmpUrl').optional().isString().trim().isLength({ min: 1 }),
-    body('streamKey').optional().isString().trim().isLength({ min: 16 }),
-    body('status').optional().isIn(['library', 'scheduled', 'streaming', 'completed', 'failed', 'cancelled']),
+    streamKeyField(16, { optional: true }),
+    body('status').optional().isIn(['library', 'scheduled', 'streaming', 'completed', 'failed', 'cancelled', 'interrupted']),
     body('loop').optional().isBoolean().toBoolean(),
+    body('profileId').optional({ nullable: true, checkFalsy: true }).isMongoId(),
+    body('streamMode').optional().isIn(STREAM_MODES),
+    ...trimValidators,
+    ...runLimitValidators,
   ],
   async (req, res, next) => {
     try {
@@ -491,6 +790,21 @@ router.put(
       const video = await Video.findById(req.params.id);
       if (!video) return res.status(404).json({ error: 'Video not found' });
       if (video.status === 'streaming') return res.status(400).json({ error: 'Cannot update a streaming video' });
+      let destinations;
+      if (req.body.destinations !== undefined) {
+        destinations = readDestinations(req, res);
+        if (!destinations) return;
+      }
+      const overlays = await readOverlays(req, res);
+      if (overlays === false) return;
+      const preroll = await readPreroll(req, res);
+      if (preroll === false) return;
+      const fallback = await readFallback(req, res);
+      if (fallback === false) return;
+      const loudness = readLoudness(req, res);
+      if (loudness === false) return;
+      const musicBed = await readMusicBed(req, res);
+      if (musicBed === false) return;
 
       if (req.body.title) video.title = req.body.title;
       if (req.body.scheduleTime) video.scheduleTime = new Date(req.body.scheduleTime);
@@ -499,8 +813,25 @@ router.put(
       if (req.body.streamKey) video.streamKey = req.body.streamKey;
       if (req.body.status) video.status = req.body.status;
       if (typeof req.body.loop === 'boolean') video.loop = req.body.loop;
+      if (req.body.streamMode) video.streamMode = req.body.streamMode;
+      for (const f of ['startOffset', 'endOffset', 'loopCount', 'maxDuration']) {
+        if (req.body[f] === null || req.body[f] === '') video[f] = undefined;
+        else if (typeof req.body[f] === 'number') video[f] = req.body[f];
+      }
+      if (destinations) video.destinations = destinations;
+      if (overlays !== undefined) video.overlays = overlays || undefined;
+      if (preroll !== undefined) video.preroll = preroll || undefined;
+      if (fallback !== undefined) video.fallback = fallback || undefined;
+      if (loudness !== undefined) video.loudness = loudness || undefined;
+      if (musicBed !== undefined) video.musicBed = musicBed || undefined;
+      if (req.body.profileId !== undefined) {
+        // Empty value clears the profile (falls back to the default)
+        if (!(await checkProfile(req, res))) return;
+        video.profileId = req.body.profileId || undefined;
+      }
       await video.save();
       try { await syncVideo(video); } catch (_) {}
+      if (needsAnalysis(video.loudness, video)) queueAnalysis(video._id).catch(() => {});
       res.json(video);
     } catch (err) {
       next(err);
@@ -508,23 +839,148 @@ router.put(
   }
 );
 
-// Helper: build output RTMP URL and parse host/port
-function buildRtmpOutputUrl(rtmpUrl, streamKey) {
-  if (typeof rtmpUrl !== 'string' || !/^rtmps?:\/\//i.test(rtmpUrl)) {
-    throw new Error('Invalid RTMP URL');
+// (Re)measure a video's loudness for two-pass normalization; runs in the background
+router.post(
+  '/:id/loudness/analyze',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const video = await Video.findById(req.params.id).lean().exec();
+      if (!video) return res.status(404).json({ error: 'Video not found' });
+      if (video.loudnessAnalysis && video.loudnessAnalysis.status === 'pending') {
+        return res.status(409).json({ error: 'Loudness analysis already in progress' });
+      }
+      await queueAnalysis(video._id);
+      return res.status(202).json({ success: true, status: 'pending' });
+    } catch (err) {
+      next(err);
+    }
   }
-  if (typeof streamKey !== 'string' || streamKey.trim().length < 8) {
-    throw new Error('Invalid stream key');
+);
+
+// Serve the video's subtitle file
+router.get(
+  '/:id/subtitles',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const video = await Video.findById(req.params.id).lean().exec();
+      if (!video) return res.status(404).json({ error: 'Video not found' });
+      const subs = video.subtitles;
+      if (!subs || !fs.existsSync(subs.filepath)) return res.status(404).json({ error: 'No subtitles for this video' });
+      return res.sendFile(path.resolve(subs.filepath));
+    } catch (err) {
+      next(err);
+    }
   }
-  return rtmpUrl.endsWith('/') ? `${rtmpUrl}${streamKey}` : `${rtmpUrl}/${streamKey}`;
-}
-function parseHostPortFromRtmp(rtmpUrl) {
-  const u = new URL(rtmpUrl);
-  const protocol = u.protocol.replace(':', '');
-  const host = u.hostname;
-  const port = u.port ? Number(u.port) : protocol === 'rtmps' ? 443 : 1935;
-  return { protocol, host, port };
-}
+);
+
+// Attach or replace subtitles (multipart field `subtitles`, optional `subtitleStyle` JSON)
+router.post(
+  '/:id/subtitles',
+  upload.single(SUBTITLE_FIELD),
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      if (!req.file) return res.status(400).json({ error: 'subtitles file is required' });
+      const video = await Video.findById(req.params.id);
+      if (!video) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      if (video.status === 'streaming') {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: 'Cannot update a streaming video' });
+      }
+      const previous = video.subtitles && video.subtitles.toObject();
+      let subtitles;
+      try {
+        // The upload keeps its temporary name until the video is saved
+        subtitles = prepareSubtitles(req.file, video.filepath, parseSubtitleStyle(req.body.subtitleStyle));
+      } catch (err) {
+        fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: err.message });
+      }
+      // Keep the previous style unless a new one was sent
+      if (req.body.subtitleStyle === undefined && previous) subtitles.style = previous.style;
+      video.subtitles = subtitles;
+      try {
+        await video.save();
+      } catch (err) {
+        fs.unlink(req.file.path, () => {});
+        throw err;
+      }
+      // Only now replace a previous file of the same format
+      fs.renameSync(req.file.path, subtitles.filepath);
+      if (previous && previous.filepath !== subtitles.filepath) removeSubtitleFile(previous);
+      try { await syncVideo(video); } catch (_) {}
+      return res.status(201).json(video.subtitles);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Update subtitle styling or switch the burn-in on/off
+router.put(
+  '/:id/subtitles',
+  [
+    param('id').isMongoId(),
+    body('enabled').optional().isBoolean().toBoolean(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const video = await Video.findById(req.params.id);
+      if (!video) return res.status(404).json({ error: 'Video not found' });
+      if (!video.subtitles) return res.status(404).json({ error: 'No subtitles for this video' });
+      if (video.status === 'streaming') return res.status(400).json({ error: 'Cannot update a streaming video' });
+      let style;
+      try {
+        style = parseSubtitleStyle(req.body.style);
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (style !== undefined) video.subtitles.style = style || {};
+      if (typeof req.body.enabled === 'boolean') video.subtitles.enabled = req.body.enabled;
+      await video.save();
+      try { await syncVideo(video); } catch (_) {}
+      return res.json(video.subtitles);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+router.delete(
+  '/:id/subtitles',
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const video = await Video.findById(req.params.id);
+      if (!video) return res.status(404).json({ error: 'Video not found' });
+      if (!video.subtitles) return res.status(404).json({ error: 'No subtitles for this video' });
+      if (video.status === 'streaming') return res.status(400).json({ error: 'Cannot update a streaming video' });
+      removeSubtitleFile(video.subtitles);
+      video.subtitles = undefined;
+      await video.save();
+      try { await syncVideo(video); } catch (_) {}
+      return res.json({ success: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 
 // 1. POST /:id/stream/start
 router.post(
@@ -536,7 +992,7 @@ router.post(
     body('force').optional().isBoolean(),
     // Optional RTMP details for Instant Live (required when starting library items)
     body('rtmpUrl').optional().isString().trim().isLength({ min: 1 }),
-    body('streamKey').optional().isString().trim().isLength({ min: 8 }),
+    streamKeyField(8, { optional: true }),
   ],
   async (req, res, next) => {
     try {
@@ -558,9 +1014,9 @@ router.post(
           return res.json({ message: 'Stream started' });
         } catch (err) {
           const msg = err && err.message ? err.message : 'Failed to start stream';
-          if (/already active/i.test(msg)) return res.status(409).json({ error: msg });
+          if (/already active|capacity/i.test(msg)) return res.status(409).json({ error: msg });
           if (/Video file not found/i.test(msg)) return res.status(404).json({ error: msg });
-          if (/Invalid RTMP URL|stream key/i.test(msg)) return res.status(400).json({ error: msg });
+          if (/Invalid output URL|stream key/i.test(msg)) return res.status(400).json({ error: msg });
           return res.status(500).json({ error: msg });
         }
       }
@@ -569,7 +1025,7 @@ router.post(
       if (video.status === 'library') {
         const rtmpUrl = String(req.body.rtmpUrl || video.rtmpUrl || '').trim();
         const streamKey = String(req.body.streamKey || video.streamKey || '').trim();
-        if (!rtmpUrl || !streamKey || streamKey.length < 8) {
+        if (!rtmpUrl || (streamKeyRequired(rtmpUrl) && streamKey.length < 8)) {
           return res.status(400).json({ error: 'RTMP URL and Stream Key are required for Instant Live' });
         }
         // Ensure a scheduleTime exists to satisfy model validation when status changes to streaming
@@ -583,9 +1039,9 @@ router.post(
           return res.json({ message: 'Instant Live started' });
         } catch (err) {
           const msg = err && err.message ? err.message : 'Failed to start Instant Live';
-          if (/already active/i.test(msg)) return res.status(409).json({ error: msg });
+          if (/already active|capacity/i.test(msg)) return res.status(409).json({ error: msg });
           if (/Video file not found/i.test(msg)) return res.status(404).json({ error: msg });
-          if (/Invalid RTMP URL|stream key/i.test(msg)) return res.status(400).json({ error: msg });
+          if (/Invalid output URL|stream key/i.test(msg)) return res.status(400).json({ error: msg });
           return res.status(500).json({ error: msg });
         }
       }
@@ -620,6 +1076,83 @@ router.post(
   }
 );
 
+// POST /:id/stream/pause — hold the stream on a "we'll be right back" slate without ending the broadcast
+router.post(
+  '/:id/stream/pause',
+  rateLimit(5, 60_000),
+  requireAuth,
+  [param('id').isMongoId(), body('message').optional({ checkFalsy: true }).isString().trim().isLength({ max: 200 })],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const video = await Video.findById(req.params.id);
+      if (!video) return res.status(404).json({ error: 'Video not found' });
+      if (video.status !== 'streaming') return res.status(400).json({ error: 'Video is not streaming' });
+      try {
+        const paused = await streamer.pauseStream(req.params.id, { message: req.body.message || undefined });
+        return res.json({ success: true, message: 'Stream paused', paused });
+      } catch (err) {
+        return sendHoldError(res, err, 'pause');
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /:id/stream/resume — take a paused stream off the slate, continuing where it stopped
+router.post(
+  '/:id/stream/resume',
+  rateLimit(5, 60_000),
+  requireAuth,
+  [param('id').isMongoId()],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const video = await Video.findById(req.params.id);
+      if (!video) return res.status(404).json({ error: 'Video not found' });
+      if (video.status !== 'streaming') return res.status(400).json({ error: 'Video is not streaming' });
+      try {
+        const { position, seconds } = await streamer.resumeStream(req.params.id);
+        return res.json({ success: true, message: 'Stream resumed', position, pausedSeconds: seconds });
+      } catch (err) {
+        return sendHoldError(res, err, 'resume');
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// POST /:id/stream/swap — replace what the stream plays (videoId or sourceUrl) without dropping its outputs
+router.post(
+  '/:id/stream/swap',
+  rateLimit(5, 60_000),
+  requireAuth,
+  [param('id').isMongoId(), ...swapValidators],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      const video = await Video.findById(req.params.id);
+      if (!video) return res.status(404).json({ error: 'Video not found' });
+      if (video.status !== 'streaming') return res.status(400).json({ error: 'Video is not streaming' });
+      const source = await readSwapSource(req, res);
+      if (!source) return;
+      try {
+        const swapped = await streamer.swapSource(req.params.id, source);
+        return res.json({ success: true, message: 'Source swapped', source: swapped });
+      } catch (err) {
+        return sendSwapError(res, err);
+      }
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 // 3. GET /:id/stream/status
 router.get(
   '/:id/stream/status',
@@ -638,8 +1171,23 @@ router.get(
         progress: typeof video.progress === 'number' ? video.progress : (status && status.progress) || 0,
         state: video.status,
       };
+      payload.passthrough = video.passthrough;
       if (status && status.active) {
+        payload.mode = status.mode;
+        payload.position = status.position;
+        payload.duration = status.duration;
+        payload.projectedEndAt = status.projectedEndAt;
+        payload.preroll = status.preroll;
+        payload.reconnecting = status.reconnecting;
+        payload.reconnectAttempts = status.reconnectAttempts;
+        payload.fallback = status.fallback;
+        payload.paused = status.paused;
+        payload.pausedSeconds = status.pausedSeconds;
+        payload.source = status.source;
+        payload.telemetry = status.telemetry;
+        payload.lastError = status.lastError;
         payload.outputUrl = status.outputUrl;
+        payload.destinations = status.destinations;
         payload.startedAt = status.startedAt;
       }
       return res.json(payload);
@@ -649,51 +1197,42 @@ router.get(
   }
 );
 
-// 4. POST /test-rtmp
+// GET /:id/logs — ffmpeg log of the video's current or last stream, stream keys redacted
+router.get(
+  '/:id/logs',
+  rateLimit(15, 60_000),
+  requireAuth,
+  [param('id').isMongoId(), ...logQueryValidators],
+  async (req, res, next) => {
+    try {
+      const errResp = handleValidationErrors(req, res);
+      if (errResp) return;
+      if (!(await Video.exists({ _id: req.params.id }))) return res.status(404).json({ error: 'Video not found' });
+      return sendStreamLog(req, res, req.params.id);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// 4. POST /test-destination — check that an output target (RTMP, SRT, RIST, UDP) is reachable
+// (/test-rtmp is kept for existing clients)
 router.post(
-  '/test-rtmp',
+  ['/test-destination', '/test-rtmp'],
   rateLimit(10, 60_000),
   requireAuth,
-  [body('rtmpUrl').isString().trim().isLength({ min: 1 }), body('streamKey').isString().trim().isLength({ min: 8 })],
+  [body('rtmpUrl').isString().trim().isLength({ min: 1 }), streamKeyField(8)],
   async (req, res, next) => {
     try {
       const errResp = handleValidationErrors(req, res);
       if (errResp) return;
       const { rtmpUrl, streamKey } = req.body;
       try {
-        const full = buildRtmpOutputUrl(rtmpUrl, streamKey);
-        const { protocol, host, port } = parseHostPortFromRtmp(rtmpUrl);
-
-        const reachable = await new Promise((resolve) => {
-          const timerMs = 3000;
-          let done = false;
-          const onDone = (ok) => {
-            if (done) return;
-            done = true;
-            resolve(ok);
-          };
-          const timer = setTimeout(() => onDone(false), timerMs);
-          const onConnect = () => {
-            clearTimeout(timer);
-            socket.end();
-            onDone(true);
-          };
-          const onError = () => {
-            clearTimeout(timer);
-            onDone(false);
-          };
-          let socket;
-          if (protocol === 'rtmps') {
-            socket = tls.connect({ host, port, servername: host }, onConnect);
-          } else {
-            socket = net.connect({ host, port }, onConnect);
-          }
-          socket.on('error', onError);
-        });
-
-        return res.json({ reachable, protocol, host, port, outputUrl: full });
+        const outputUrl = buildOutputUrl(rtmpUrl, streamKey);
+        const result = await probeOutput(rtmpUrl);
+        return res.json({ ...result, outputUrl });
       } catch (e) {
-        return res.status(400).json({ error: e.message || 'Invalid RTMP configuration' });
+        return res.status(400).json({ error: e.message || 'Invalid destination' });
       }
     } catch (err) {
       next(err);
@@ -725,6 +1264,8 @@ router.delete(
       } catch (fsErr) {
         console.warn(`[Videos] Failed to delete file: ${fsErr.message}`);
       }
+      removeSubtitleFile(video.subtitles);
+      removeStreamLog(video._id);
 
       await Video.findByIdAndDelete(req.params.id);
       res.json({ success: true });
@@ -100,16 +100,48 @@ const videosRouter = require('./routes/videos');
 app.use('/api/videos', videosRouter);
 const playlistsRouter = require('./routes/playlists');
 app.use('/api/playlists', playlistsRouter);
+const profilesRouter = require('./routes/profiles');
+app.use('/api/profiles', profilesRouter);
+const assetsRouter = require('./routes/assets');
+app.use('/api/assets', assetsRouter);
+const resolversRouter = require('./routes/resolvers');
+app.use('/api/resolvers', resolversRouter);
 
 const streamer = require('./utils/streamer');
 const Video = require('./models/Video');
 const Playlist = require('./models/Playlist');
 const ExternalJob = require('./models/ExternalJob');
 const supabase = require('./utils/supabase');
+const { MAX_PREROLL_MINUTES } = require('./models/Preroll');
+const { prerollStartAt } = require('./utils/preroll');
+const { RECOVERY_POLICY, reconcileOrphans } = require('./utils/recovery');
+const { killLeftovers } = require('./utils/pidfile');
+
+// Persist per-destination status for external jobs (video streams persist their own)
+streamer.on('outputs', (streamId, outputs) => {
+  if (!String(streamId).startsWith('url:') || dbStatus !== 'connected') return;
+  ExternalJob.updateOne({ streamId }, { outputs }).exec().catch(() => {});
+});
+
+// Final outcome of external URL streams (after any reconnect attempts)
+streamer.on('ended', async (streamId, { status, error }) => {
+  if (!String(streamId).startsWith('url:') || dbStatus !== 'connected') return;
+  try {
+    const j = await ExternalJob.findOne({ streamId });
+    if (!j) return;
+    j.status = status;
+    if (status === 'completed') j.progress = 100;
+    if (error) j.errorMessage = error;
+    j.endedAt = new Date();
+    await j.save();
+  } catch (e) {
+    console.error(`[Streamer] Failed to update external job for ${streamId}: ${e.message}`);
+  }
+});
 
 const healthHandler = (req, res) => {
   const streams = streamer.getAllActiveStreams().length;
-  res.status(200).json({ status: 'ok', db: dbStatus, streams, uptime: process.uptime() });
+  res.status(200).json({ status: 'ok', db: dbStatus, streams, capacity: streamer.capacity(), uptime: process.uptime() });
 };
 
 app.get('/api/health', healthHandler);
@@ -133,7 +165,18 @@ app.get('/api/streams/active', async (req, res) => {
           title: (job && job.title) || 'External URL',
           sourceUrl: (st && st.sourceUrl) || (job && job.sourceUrl) || undefined,
           outputUrl: (st && st.outputUrl) || (job && job.lastOutputUrl) || undefined,
+          destinations: (st && st.destinations) || (job && job.outputs) || undefined,
           progress: (st && typeof st.progress === 'number') ? st.progress : undefined,
+          projectedEndAt: (st && st.projectedEndAt) || undefined,
+          repeat: (st && st.repeat) || undefined,
+          source: (st && st.source) || undefined,
+          live: !!(st && st.live),
+          fallback: !!(st && st.fallback),
+          paused: (st && st.paused) || undefined,
+          preview: !!(st && st.preview),
+          snapshot: !!(st && st.snapshot),
+          telemetry: (st && st.telemetry) || undefined,
+          downgrade: (st && st.downgrade) || undefined,
           stopTime: (job && job.stopTime) || undefined,
         });
       } else {
@@ -149,19 +192,77 @@ app.get('/api/streams/active', async (req, res) => {
           type: 'video',
           title: (v && v.title) || sid,
           outputUrl: output,
+          destinations: (st && st.destinations) || (v && v.outputs) || undefined,
           progress: (st && typeof st.progress === 'number') ? st.progress : (v && typeof v.progress === 'number' ? v.progress : undefined),
+          projectedEndAt: (st && st.projectedEndAt) || undefined,
+          repeat: (st && st.repeat) || undefined,
+          preroll: (st && st.preroll) || undefined,
+          paused: (st && st.paused) || undefined,
+          source: (st && st.source) || undefined,
+          fallback: !!(st && st.fallback),
+          preview: !!(st && st.preview),
+          snapshot: !!(st && st.snapshot),
+          telemetry: (st && st.telemetry) || undefined,
+          downgrade: (st && st.downgrade) || undefined,
           stopTime: (v && v.stopTime) || undefined,
           playlistId: (v && v.playlistId) || undefined,
           playlistName: (pl && pl.name) || undefined,
+          playlistIndex: pl ? pl.videos.findIndex((x) => String(x) === sid) : undefined,
+          playlistTotal: pl ? pl.videos.length : undefined,
+          // Pass through a repeating playlist (1-based) and how many it makes (null when endless)
+          playlistPass: pl ? (pl.loopsCompleted || 0) + 1 : undefined,
+          playlistLoops: pl ? pl.loopCount || (pl.loop ? null : 1) : undefined,
+          gapless: pl ? !!pl.gapless : undefined,
         });
       }
     }
-    res.status(200).json({ active: out, count: out.length });
+    res.status(200).json({ active: out, count: out.length, capacity: streamer.capacity() });
   } catch (err) {
     res.status(500).json({ error: err && err.message ? err.message : 'Failed to list active streams' });
   }
 });
 
+// Encoder telemetry history of an active stream (video id or url:... id); ?since=ISO date for newer samples only
+app.get('/api/streams/:id/metrics', (req, res) => {
+  const since = req.query.since;
+  if (since !== undefined && Number.isNaN(new Date(since).getTime())) {
+    return res.status(400).json({ error: 'since must be a date' });
+  }
+  const metrics = streamer.getStreamMetrics(req.params.id, since);
+  if (!metrics) return res.status(404).json({ error: 'Stream is not active' });
+  res.set('Cache-Control', 'no-store');
+  return res.status(200).json(metrics);
+});
+
+// Live HLS monitor of an active stream (STREAM_PREVIEW); segments sit next to the playlist
+function sendPreviewFile(res, file, type) {
+  res.set('Cache-Control', 'no-store');
+  res.sendFile(file, { headers: { 'Content-Type': type } }, (err) => {
+    // Segments rotate out of the playlist and get deleted; the first snapshot takes a moment
+    if (err && !res.headersSent) res.status(404).json({ error: 'Preview file not available' });
+  });
+}
+
+app.get('/api/streams/:id/preview.m3u8', (req, res) => {
+  const preview = streamer.getStreamPreview(req.params.id);
+  if (!preview || !preview.hls) return res.status(404).json({ error: 'No preview for this stream' });
+  return sendPreviewFile(res, preview.playlistPath, 'application/vnd.apple.mpegurl');
+});
+
+app.get('/api/streams/:id/:segment(preview\\d+\\.ts)', (req, res) => {
+  const preview = streamer.getStreamPreview(req.params.id);
+  const file = preview && preview.hls && preview.segmentPath(req.params.segment);
+  if (!file) return res.status(404).json({ error: 'No preview for this stream' });
+  return sendPreviewFile(res, file, 'video/mp2t');
+});
+
+// Latest frame of an active stream, refreshed every STREAM_SNAPSHOT_SECONDS
+app.get('/api/streams/:id/snapshot.jpg', (req, res) => {
+  const preview = streamer.getStreamPreview(req.params.id);
+  if (!preview || !preview.snapshots) return res.status(404).json({ error: 'No snapshot for this stream' });
+  return sendPreviewFile(res, preview.snapshotPath, 'image/jpeg');
+});
+
 // Supabase health
 app.get('/api/supabase/health', async (req, res) => {
   try {
@@ -172,7 +273,7 @@ app.get('/api/supabase/health', async (req, res) => {
   }
 });
 
-// Cron: every minute, auto-stop streams at stopTime and start next due video (sequential)
+// Cron: every minute, auto-stop streams at stopTime and start every due item that fits (MAX_CONCURRENT_STREAMS)
 function startCron() {
   if (cronTask) return cronTask;
   cronTask = cron.schedule('* * * * *', async () => {
@@ -203,79 +304,147 @@ function startCron() {
         }
       }
 
-      // 1a) If no active streams and a running playlist has finished all items,
-      //     either mark completed or reset to start again when loop is enabled
-      const activeCountPre = streamer.getAllActiveStreams().length;
-      if (activeCountPre === 0) {
-        const donePlaylists = await Playlist.find({ status: 'running' }).lean().exec();
-        for (const pl of donePlaylists) {
-          if (Array.isArray(pl.videos) && typeof pl.currentIndex === 'number' && pl.currentIndex >= pl.videos.length) {
-            try {
-              if (pl.loop) {
-                await Playlist.findByIdAndUpdate(pl._id, { currentIndex: 0 }).exec();
-                console.log(`[Cron] Playlist ${pl._id} loop enabled; resetting to first item.`);
-                // Keep status as 'running'; next cycle will start first item
-              } else {
-                const endedAt = new Date();
-                await Playlist.findByIdAndUpdate(pl._id, { status: 'completed', streamEndedAt: endedAt }).exec();
-                try { await supabase.syncPlaylist({ _id: pl._id, status: 'completed', streamEndedAt: endedAt }); } catch (_) {}
-              }
-            } catch (_) {}
+      // Capacity and destination locks are transient: the item stays due and is retried next minute
+      const isBusy = (err) => err.code === 'CAPACITY' || err.code === 'DESTINATION_BUSY';
+      const full = () => streamer.capacity().available === 0;
+      // A playlist is on air while its gapless session runs or one of its items streams
+      const playlistBusy = (pl) => {
+        const active = new Set(streamer.getAllActiveStreams().map(String));
+        return !!streamer.getPlaylistSession(pl._id) || pl.videos.some((v) => active.has(String(v)));
+      };
+
+      // 2a) Running playlists with nothing on air start their next item; once every item
+      //     has played they are completed, or reset to the first item while they repeat.
+      //     Past maxDuration they are completed (their items end themselves at that time)
+      const runningPlaylists = await Playlist.find({ status: 'running' }).sort({ updatedAt: 1 }).exec();
+      for (const running of runningPlaylists) {
+        const deadline = running.getDeadline();
+        if (deadline && deadline <= now) {
+          try {
+            if (!(await streamer.stopPlaylistSession(running._id))) {
+              for (const v of running.videos) await streamer.stopStream(String(v));
+            }
+            running.status = 'completed';
+            running.streamEndedAt = new Date();
+            await running.save();
+            try { await supabase.syncPlaylist(running); } catch (_) {}
+            console.log(`[Cron] Playlist ${running._id} reached its maximum duration; completed.`);
+          } catch (err) {
+            console.error(`[Cron] Failed to end playlist ${running._id}: ${err.message}`);
           }
+          continue;
+        }
+        if (!Array.isArray(running.videos) || playlistBusy(running)) continue;
+        if (typeof running.currentIndex === 'number' && running.currentIndex >= running.videos.length) {
+          try {
+            if (running.repeatsAfterPass()) {
+              running.currentIndex = 0;
+              running.loopsCompleted = (running.loopsCompleted || 0) + 1;
+              await running.save();
+              console.log(`[Cron] Playlist ${running._id} repeats (pass ${running.loopsCompleted + 1}); resetting to first item.`);
+              // Keep status as 'running'; next cycle will start first item
+            } else {
+              running.status = 'completed';
+              running.streamEndedAt = new Date();
+              await running.save();
+              try { await supabase.syncPlaylist(running); } catch (_) {}
+            }
+          } catch (_) {}
+          continue;
+        }
+        if (full()) break;
+        // A gapless playlist interrupted mid-run (e.g. by a restart) resumes in a new session
+        if (running.gapless) {
+          try {
+            await streamer.startPlaylistSession(running);
+            console.log(`[Cron] Resumed gapless playlist ${running.name} at item ${running.currentIndex + 1}/${running.videos.length}`);
+          } catch (err) {
+            console.error(`[Cron] Failed to resume gapless playlist ${running._id}: ${err.message}`);
+          }
+          continue;
         }
-      }
-
-      // 2) If no active streams, start the next due scheduled video
-      const activeCount = streamer.getAllActiveStreams().length;
-      if (activeCount > 0) return;
-
-      // 2a) If there is a running playlist, start its next item
-      let running = await Playlist.findOne({ status: 'running' }).sort({ updatedAt: 1 }).exec();
-      if (running && Array.isArray(running.videos) && running.currentIndex < running.videos.length) {
         const nextVideoId = String(running.videos[running.currentIndex]);
         try {
-          await streamer.startStream(nextVideoId, { rtmpUrl: running.rtmpUrl, streamKey: running.streamKey });
+          await streamer.startStream(nextVideoId, { rtmpUrl: running.rtmpUrl, streamKey: running.streamKey, destinations: running.destinations, profileId: running.profileId, overlays: running.overlays, loudness: running.loudness, musicBed: running.musicBed, fallback: running.fallback, deadline });
           running.currentIndex += 1;
           await running.save();
           try { await supabase.syncPlaylist(running); } catch (_) {}
           const v = await Video.findById(nextVideoId).lean().exec();
           console.log(`[Cron] Started playlist item ${running.currentIndex}/${running.videos.length}: ${v && v.title ? v.title : nextVideoId}`);
-          return;
         } catch (err) {
           console.error(`[Cron] Failed to start playlist item for ${running._id}: ${err.message}`);
         }
       }
 
-      // 2b) If a scheduled playlist is due, mark running and start first item
-      const duePlaylist = await Playlist.findOne({ status: 'scheduled', scheduleTime: { $lte: now } }).sort({ scheduleTime: 1 }).exec();
-      if (duePlaylist) {
+      // Items with a pre-roll start up to MAX_PREROLL_MINUTES early, so look that far ahead
+      const horizon = new Date(now.getTime() + MAX_PREROLL_MINUTES * 60_000);
+      const isDue = (doc) => prerollStartAt(doc.scheduleTime, doc.preroll) <= now;
+
+      // 2b) Due scheduled playlists: mark running and start the first item
+      const playlistCandidates = await Playlist.find({ status: 'scheduled', scheduleTime: { $lte: horizon } }).sort({ scheduleTime: 1 }).exec();
+      for (const duePlaylist of playlistCandidates.filter(isDue)) {
+        if (full()) break;
         duePlaylist.status = 'running';
         duePlaylist.streamStartedAt = new Date();
+        duePlaylist.loopsCompleted = 0;
         await duePlaylist.save();
         try { await supabase.syncPlaylist(duePlaylist); } catch (_) {}
-        if (Array.isArray(duePlaylist.videos) && duePlaylist.videos.length > 0) {
-          const firstId = String(duePlaylist.videos[duePlaylist.currentIndex] || duePlaylist.videos[0]);
-          try {
-            await streamer.startStream(firstId, { rtmpUrl: duePlaylist.rtmpUrl, streamKey: duePlaylist.streamKey, playlistId: duePlaylist._id });
+        try {
+          if (duePlaylist.gapless) {
+            await streamer.startPlaylistSession(duePlaylist, {
+              preroll: duePlaylist.preroll,
+              startAt: duePlaylist.scheduleTime,
+              slateTitle: duePlaylist.name,
+            });
+            console.log(`[Cron] Started gapless playlist: ${duePlaylist.name}`);
+          } else if (Array.isArray(duePlaylist.videos) && duePlaylist.videos.length > 0) {
+            const firstId = String(duePlaylist.videos[duePlaylist.currentIndex] || duePlaylist.videos[0]);
+            await streamer.startStream(firstId, {
+              rtmpUrl: duePlaylist.rtmpUrl,
+              streamKey: duePlaylist.streamKey,
+              destinations: duePlaylist.destinations,
+              profileId: duePlaylist.profileId,
+              overlays: duePlaylist.overlays,
+              loudness: duePlaylist.loudness,
+              musicBed: duePlaylist.musicBed,
+              fallback: duePlaylist.fallback,
+              playlistId: duePlaylist._id,
+              deadline: duePlaylist.getDeadline(),
+              // Slate counts down to the playlist's own start time
+              preroll: duePlaylist.preroll,
+              startAt: duePlaylist.scheduleTime,
+              slateTitle: duePlaylist.name,
+            });
             duePlaylist.currentIndex = 1;
             await duePlaylist.save();
             try { await supabase.syncPlaylist(duePlaylist); } catch (_) {}
             const v = await Video.findById(firstId).lean().exec();
             console.log(`[Cron] Started first playlist item: ${v && v.title ? v.title : firstId}`);
-            return;
-          } catch (err) {
-            console.error(`[Cron] Failed to start first playlist item for ${duePlaylist._id}: ${err.message}`);
           }
+        } catch (err) {
+          if (isBusy(err)) {
+            console.log(`[Cron] Playlist ${duePlaylist.name} waits: ${err.message}`);
+            duePlaylist.status = 'scheduled';
+            duePlaylist.streamStartedAt = undefined;
+            try { await duePlaylist.save(); } catch (_) {}
+            continue;
+          }
+          console.error(`[Cron] Failed to start playlist ${duePlaylist._id}: ${err.message}`);
         }
       }
 
-      // 2c) Fallback: start next due scheduled video not part of a playlist
-      const next = await Video.findOne({ status: 'scheduled', scheduleTime: { $lte: now }, $or: [ { playlistId: { $exists: false } }, { playlistId: null } ] }).sort({ scheduleTime: 1 });
-      if (next) {
+      // 2c) Due scheduled videos that are not part of a playlist
+      const videoCandidates = await Video.find({ status: 'scheduled', scheduleTime: { $lte: horizon }, $or: [ { playlistId: { $exists: false } }, { playlistId: null } ] }).sort({ scheduleTime: 1 });
+      for (const next of videoCandidates.filter(isDue)) {
+        if (full()) break;
         try {
-          await streamer.startStream(next._id.toString());
+          await streamer.startStream(next._id.toString(), { preroll: next.preroll, startAt: next.scheduleTime });
           console.log(`[Cron] Started stream for: ${next.title}`);
         } catch (err) {
+          if (isBusy(err)) {
+            console.log(`[Cron] ${next.title} waits: ${err.message}`);
+            continue;
+          }
           console.error(`[Cron] Failed to start stream for ${next._id}: ${err.message}`);
           try {
             next.status = 'failed';
@@ -284,44 +453,27 @@ function startCron() {
             await next.save();
           } catch (_) {}
         }
-      } else {
-        // 2d) If no video is due, start next scheduled external URL job
-        const nextJob = await ExternalJob.findOne({ status: 'scheduled', scheduleTime: { $lte: now } }).sort({ scheduleTime: 1 }).exec();
-        if (!nextJob) return;
+      }
+
+      // 2d) Due scheduled external URL jobs
+      const dueJobs = full() ? [] : await ExternalJob.find({ status: 'scheduled', scheduleTime: { $lte: now } }).sort({ scheduleTime: 1 }).exec();
+      for (const nextJob of dueJobs) {
+        if (full()) break;
         try {
-          const { streamId, command } = await streamer.startUrlStream(nextJob.sourceUrl, { rtmpUrl: nextJob.rtmpUrl, streamKey: nextJob.streamKey });
+          const { streamId } = await streamer.startUrlStream(nextJob.sourceUrl, { rtmpUrl: nextJob.rtmpUrl, streamKey: nextJob.streamKey, destinations: nextJob.destinations, profileId: nextJob.profileId, fallback: nextJob.fallback, live: nextJob.live, loopCount: nextJob.loopCount, maxDuration: nextJob.maxDuration });
           nextJob.status = 'streaming';
           nextJob.streamId = streamId;
           nextJob.startedAt = new Date();
-          nextJob.lastOutputUrl = `${nextJob.rtmpUrl.endsWith('/') ? nextJob.rtmpUrl : nextJob.rtmpUrl + '/'}${nextJob.streamKey}`;
+          const status = streamer.getStreamStatus(streamId);
+          nextJob.lastOutputUrl = status.outputUrl;
+          nextJob.outputs = status.destinations || [];
           await nextJob.save();
-
-          command.on('end', async () => {
-            try {
-              const j = await ExternalJob.findById(nextJob._id);
-              if (!j) return;
-              j.status = 'completed';
-              j.progress = 100;
-              j.endedAt = new Date();
-              await j.save();
-            } catch (e) {
-              console.error(`[Cron] Failed to mark external job complete: ${e.message}`);
-            }
-          });
-          command.on('error', async (err) => {
-            try {
-              const j = await ExternalJob.findById(nextJob._id);
-              if (!j) return;
-              j.status = 'failed';
-              j.errorMessage = err.message || 'Streaming failed';
-              j.endedAt = new Date();
-              await j.save();
-            } catch (e) {
-              console.error(`[Cron] Failed to mark external job error: ${e.message}`);
-            }
-          });
           console.log(`[Cron] Started external URL job ${nextJob._id}`);
         } catch (err) {
+          if (isBusy(err)) {
+            console.log(`[Cron] External job ${nextJob._id} waits: ${err.message}`);
+            continue;
+          }
           console.error(`[Cron] Failed to start external job ${nextJob._id}: ${err.message}`);
           try {
             nextJob.status = 'failed';
@@ -335,11 +487,21 @@ function startCron() {
       console.error(`[Cron] Job error: ${err.message}`);
     }
   }, { scheduled: true });
-  console.log('[Cron] Job scheduled to run every minute (auto-stop + sequential start).');
+  console.log('[Cron] Job scheduled to run every minute (auto-stop + start within capacity).');
   return cronTask;
 }
 
-mongoose.connection.on('connected', () => {
+// Once per process: on a reconnect the streams this server runs are still its own
+mongoose.connection.once('connected', async () => {
+  // Records left 'streaming' by a previous process would otherwise never end
+  try {
+    const { videos, jobs, playlists, resumed } = await reconcileOrphans();
+    if (videos + jobs + playlists > 0) {
+      console.log(`[Recovery] ${videos} video(s), ${jobs} external job(s) and ${playlists} playlist(s) orphaned; ${resumed} resumed (policy: ${RECOVERY_POLICY})`);
+    }
+  } catch (err) {
+    console.error(`[Recovery] Reconciliation failed: ${err.message}`);
+  }
   try {
     startCron();
   } catch (err) {
@@ -357,6 +519,10 @@ const errorHandler = require('./middleware/errorHandler');
 app.use(errorHandler);
 
 if (require.main === module) {
+  // ffmpeg processes of a crashed previous run would still be pushing to the ingest
+  const killed = killLeftovers();
+  if (killed.length) console.log(`[Recovery] Killed ${killed.length} leftover ffmpeg process(es): ${killed.join(', ')}`);
+
   app.listen(PORT, () => {
     console.log(`Backend listening on http://localhost:${PORT}`);
   });
@@ -369,6 +535,12 @@ if (require.main === module) {
         console.log('[Shutdown] Cron task stopped');
       }
     } catch (_) {}
+    try {
+      // Sessions first, so stopping their items does not start the next ones
+      for (const pid of streamer.getPlaylistSessions()) {
+        await streamer.stopPlaylistSession(pid);
+      }
+    } catch (_) {}
     try {
       const ids = streamer.getAllActiveStreams();
       console.log(`[Shutdown] Stopping ${ids.length} active stream(s)`);
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Stand-in for ffmpeg in tests: answers fluent-ffmpeg's capability probes, then prints
+// stats lines until it is told to quit ('q' on stdin, SIGINT, SIGTERM).
+// Arguments containing FAIL exit with an error, SLOW encodes at half realtime.
+const args = process.argv.slice(2);
+
+const PROBES = {
+  '-formats': 'File formats:\n D. = Demuxing supported\n .E = Muxing supported\n --\n DE flv             FLV\n DE mpegts          MPEG-TS\n  E hls             HLS\n  E image2          image2\n  E tee             Tee\n D  lavfi           Libavfilter\n D  concat          Concat\n',
+  '-encoders': 'Encoders:\n V..... = Video\n ------\n V..... libx264              H.264\n A..... aac                  AAC\n',
+  '-codecs': 'Codecs:\n -------\n DEV.LS h264                 H.264\n DEA.L. aac                  AAC\n',
+  '-filters': 'Filters:\n  ---\n ... scale V->V Scale\n',
+};
+const probe = args.find((a) => PROBES[a]);
+if (probe) {
+  process.stdout.write(PROBES[probe]);
+  process.exit(0);
+}
+
+const line = args.join(' ');
+if (line.includes('FAIL')) {
+  setTimeout(() => {
+    process.stderr.write('Connection refused\n');
+    process.exit(1);
+  }, 300);
+} else {
+  const speed = line.includes('SLOW') ? 0.5 : 1;
+  const started = Date.now();
+  let frame = 0;
+  setInterval(() => {
+    const seconds = ((Date.now() - started) / 1000) * speed;
+    frame += 5;
+    const time = new Date(seconds * 1000).toISOString().slice(11, 22);
+    process.stderr.write(`frame=${frame} fps=25 q=28.0 size=100kB time=${time} bitrate=100kbits/s speed=${speed}x\n`);
+  }, 200);
+}
+
+process.stdin.on('data', (chunk) => {
+  if (String(chunk).includes('q')) process.exit(0);
+});
+process.stdin.on('error', () => {});
+process.on('SIGINT', () => process.exit(255));
+process.on('SIGTERM', () => process.exit(255));
+// Never outlive a test run that forgot to stop it
+setTimeout(() => process.exit(0), 60_000).unref();
@@ -0,0 +1,164 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Read by the streamer modules when they load
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'streamer-test-'));
+process.env.STREAM_RETRY_DELAY_MS = '200';
+process.env.STREAM_ADAPTIVE_WINDOW_SECONDS = '1';
+process.env.STREAM_LOG_DIR = path.join(TMP, 'logs');
+process.env.FFMPEG_PID_FILE = path.join(TMP, 'ffmpeg-pids.json');
+
+const mongoose = require('mongoose');
+const ffmpeg = require('../utils/ffmpeg');
+const { registerResolver } = require('../utils/resolvers');
+const Video = require('../models/Video');
+const streamer = require('../utils/streamer');
+
+mongoose.set('bufferCommands', false);
+ffmpeg.setFfmpegPath(path.join(__dirname, 'fixtures', 'fake-ffmpeg.js'));
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function until(check, what, timeoutMs = 10_000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}`);
+    await wait(50);
+  }
+}
+
+// gated://<input> resolves to <input> once the gate is open; dry runs never wait
+const gate = {
+  open: true,
+  waiting: [],
+  close() { this.open = false; },
+  release() {
+    this.open = true;
+    this.waiting.splice(0).forEach((resolve) => resolve());
+  },
+};
+registerResolver({
+  name: 'gated',
+  patterns: [/^gated:\/\//],
+  async resolve(url, { dryRun }) {
+    if (!dryRun && !gate.open) await new Promise((resolve) => gate.waiting.push(resolve));
+    return { input: url.slice('gated://'.length), seekable: false };
+  },
+}, { before: 'local' });
+
+// Documents served by the stubbed model, by id
+const videos = new Map();
+const noop = { exec: async () => null };
+
+function addVideo(fields = {}) {
+  const filepath = path.join(TMP, `clip-${videos.size}.mp4`);
+  fs.writeFileSync(filepath, '');
+  const video = new Video({
+    title: 'Clip',
+    filename: path.basename(filepath),
+    filepath,
+    status: 'scheduled',
+    scheduleTime: new Date(),
+    rtmpUrl: 'rtmp://127.0.0.1/live',
+    streamKey: `test-key-${videos.size}`,
+    streamMode: 'transcode',
+    ...fields,
+  });
+  video.save = async () => video;
+  videos.set(String(video._id), video);
+  return video;
+}
+
+before(() => {
+  Video.findById = async (id) => videos.get(String(id)) || null;
+  Video.findByIdAndUpdate = () => noop;
+  Video.updateOne = () => noop;
+  Video.exists = async ({ _id }) => (videos.has(String(_id)) ? { _id } : null);
+  streamer.recordEvent = async () => {};
+});
+
+afterEach(async () => {
+  gate.release();
+  await Promise.all(streamer.getAllActiveStreams().map((id) => streamer.stopStream(id)));
+  // Let the relays and sources exit
+  await wait(300);
+});
+
+after(() => {
+  fs.rmSync(TMP, { recursive: true, force: true });
+});
+
+// ffmpeg processes still running, per the PID file
+function runningFfmpeg() {
+  try {
+    return JSON.parse(fs.readFileSync(process.env.FFMPEG_PID_FILE, 'utf8')).pids.length;
+  } catch (_) {
+    return 0;
+  }
+}
+
+// A stopped stream gives back its slot and destinations, and its relay exits
+async function assertReleased(id) {
+  assert.strictEqual(streamer.getStreamStatus(id).active, false);
+  assert.strictEqual(streamer.capacity().used, 0);
+  await until(() => runningFfmpeg() === 0, 'the relay to exit');
+}
+
+test('stopping during a swap relaunch releases the stream', async () => {
+  const video = addVideo();
+  const id = String(video._id);
+  await streamer.startStream(id);
+
+  gate.close();
+  const swap = streamer.swapSource(id, { url: 'gated://swapped.mp4' });
+  await until(() => gate.waiting.length === 1, 'the swapped source to resolve');
+  assert.strictEqual(await streamer.stopStream(id), true);
+  gate.release();
+
+  await assert.rejects(swap, /Stream stopped/);
+  await assertReleased(id);
+});
+
+test('stopping during a retry relaunch releases the stream', async () => {
+  const video = addVideo();
+  const id = String(video._id);
+  await streamer.startStream(id);
+  await streamer.swapSource(id, { url: 'gated://FAIL.mp4' });
+
+  // The failing source schedules a retry; its relaunch waits on the gate
+  gate.close();
+  await until(() => gate.waiting.length === 1, 'the retry to relaunch');
+  assert.strictEqual(streamer.getStreamStatus(id).reconnecting, true);
+  assert.strictEqual(await streamer.stopStream(id), true);
+  gate.release();
+
+  await assertReleased(id);
+});
+
+test('stopping during an adaptive downgrade relaunch releases the stream', async () => {
+  const video = addVideo();
+  const id = String(video._id);
+  await streamer.startStream(id);
+  await streamer.swapSource(id, { url: 'gated://SLOW.mp4' });
+
+  // Encoding at half realtime triggers a downgrade once the 1s window is filled
+  gate.close();
+  await until(() => gate.waiting.length === 1, 'the downgrade to relaunch');
+  assert.ok(streamer.getStreamStatus(id).downgrade);
+  assert.strictEqual(await streamer.stopStream(id), true);
+  gate.release();
+
+  await assertReleased(id);
+});
+
+test('playlist items play once even when started without the playlist id', async () => {
+  // The cron moves a playlist on with startStream(nextId), as for any later item
+  const video = addVideo({ playlistId: new mongoose.Types.ObjectId(), loop: true });
+  const id = String(video._id);
+  await streamer.startStream(id);
+
+  assert.strictEqual(streamer.getStreamStatus(id).repeat, undefined);
+});
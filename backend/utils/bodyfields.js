@@ -0,0 +1,69 @@
+// Request body rules and readers shared by the video and playlist routes.
+// Readers respond 400 themselves and return false (null for destinations) when the input is invalid.
+const { body } = require('express-validator');
+const { streamKeyRequired } = require('../models/Destination');
+const { parseDestinations } = require('./destinations');
+const { parseOverlays, checkOverlayAssets } = require('./overlays');
+const { parsePreroll, checkPrerollAssets } = require('./preroll');
+const { parseFallback, checkFallbackRefs } = require('./fallback');
+const { parseLoudness } = require('./loudness');
+const { parseMusicBed, checkMusicBedAssets } = require('./musicbed');
+
+// Finite plays (passes, for a playlist) and a runtime cap in minutes
+const runLimitValidators = [
+  body('loopCount').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1 }).toInt(),
+  body('maxDuration').optional({ nullable: true, checkFalsy: true }).isFloat({ gt: 0 }).toFloat(),
+];
+
+// Stream key rule; skipped for targets whose protocol takes no key (SRT, RIST, UDP)
+function streamKeyField(min, { optional = false } = {}) {
+  const field = optional ? body('streamKey').optional() : body('streamKey');
+  return field.if((_, { req }) => streamKeyRequired(req.body.rtmpUrl)).isString().trim().isLength({ min });
+}
+
+// Parse a value and run its async reference check, which resolves an error message or null
+async function readChecked(res, input, parse, check) {
+  try {
+    const value = parse(input);
+    const problem = await check(value);
+    if (problem) throw new Error(problem);
+    return value;
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return false;
+  }
+}
+
+function readDestinations(req, res) {
+  try {
+    return parseDestinations(req.body.destinations);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+function readLoudness(req, res) {
+  try {
+    return parseLoudness(req.body.loudness);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return false;
+  }
+}
+
+const readOverlays = (req, res) => readChecked(res, req.body.overlays, parseOverlays, checkOverlayAssets);
+const readPreroll = (req, res) => readChecked(res, req.body.preroll, parsePreroll, checkPrerollAssets);
+const readFallback = (req, res) => readChecked(res, req.body.fallback, parseFallback, checkFallbackRefs);
+const readMusicBed = (req, res) => readChecked(res, req.body.musicBed, parseMusicBed, checkMusicBedAssets);
+
+module.exports = {
+  runLimitValidators,
+  streamKeyField,
+  readDestinations,
+  readOverlays,
+  readPreroll,
+  readFallback,
+  readLoudness,
+  readMusicBed,
+};
@@ -0,0 +1,98 @@
+// Helpers for building streaming outputs from one or more destinations (RTMP, SRT, RIST, UDP)
+const { buildOutputUrl, outputFormat } = require('./outputs');
+
+/**
+ * Normalize destinations coming from a request body. Accepts an array or a JSON
+ * string (multipart uploads) and throws on invalid entries.
+ */
+function parseDestinations(input) {
+  if (input === undefined || input === null || input === '') return [];
+  let list = input;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (_) {
+      throw new Error('destinations must be a JSON array');
+    }
+  }
+  if (!Array.isArray(list)) throw new Error('destinations must be an array');
+  return list.map((d, i) => {
+    if (!d || typeof d !== 'object') throw new Error(`Invalid destination at index ${i}`);
+    const rtmpUrl = String(d.rtmpUrl || '').trim();
+    const streamKey = String(d.streamKey || '').trim();
+    // Validates both fields; throws 'Invalid output URL' / 'Invalid stream key'
+    buildOutputUrl(rtmpUrl, streamKey);
+    return {
+      label: d.label ? String(d.label).trim() : `destination-${i + 1}`,
+      rtmpUrl,
+      streamKey,
+      enabled: d.enabled === undefined ? true : d.enabled !== false && d.enabled !== 'false',
+    };
+  });
+}
+
+/**
+ * Resolve the full list of outputs for a run: the primary target followed
+ * by any enabled extra destinations. Duplicate URLs are dropped.
+ */
+function resolveOutputs(primary, extra = []) {
+  const outputs = [];
+  const seen = new Set();
+  const add = (label, rtmpUrl, streamKey) => {
+    const url = buildOutputUrl(rtmpUrl, streamKey);
+    if (seen.has(url)) return;
+    seen.add(url);
+    outputs.push({ label, url, rtmpUrl, streamKey, format: outputFormat(url), status: 'pending' });
+  };
+  add('primary', primary.rtmpUrl, primary.streamKey);
+  for (const d of Array.isArray(extra) ? extra : []) {
+    if (!d || d.enabled === false) continue;
+    add(d.label || `destination-${outputs.length}`, d.rtmpUrl, d.streamKey);
+  }
+  return outputs;
+}
+
+// Escape characters that are special inside a tee muxer slave specification
+function escapeTeeUrl(url) {
+  return String(url).replace(/([\\|\[\]])/g, '\\$1');
+}
+
+/**
+ * Build a tee muxer target so a single encode fans out to every output, each in its
+ * own container. onfail=ignore keeps the remaining slaves alive when one target drops.
+ * MPEG-TS slaves repeat the codec headers on keyframes, which global headers leave out.
+ */
+function buildTeeSpec(outputs, format = 'flv') {
+  return outputs.map((o) => {
+    const f = o.format || format;
+    const bsfs = f === 'mpegts' ? ':bsfs/v=dump_extra' : '';
+    return `[f=${f}${bsfs}:onfail=ignore]${escapeTeeUrl(o.url)}`;
+  }).join('|');
+}
+
+/**
+ * Point a command at its outputs: the target's own container for a single one, tee muxer
+ * for simulcast. `mapped` means a filter graph already selected the streams. A `preview`
+ * feed URL gets an MPEG-TS copy of the encode as the last tee slave, so slave indexes
+ * still match `outputs`.
+ */
+function applyOutputs(command, outputs, { mapped = false, preview = null } = {}) {
+  if (outputs.length === 1 && !preview) {
+    return command.format(outputs[0].format || 'flv').output(outputs[0].url);
+  }
+  const slaves = preview ? [...outputs, { url: preview, format: 'mpegts' }] : outputs;
+  if (!mapped) command.outputOptions('-map', '0:v:0', '-map', '0:a:0?');
+  return command
+    .outputOptions('-flags', '+global_header')
+    .format('tee')
+    .output(buildTeeSpec(slaves));
+}
+
+// Parse tee muxer failure lines: "Slave muxer #1 failed: <reason>, continuing with 1/2 slaves."
+function parseTeeFailure(line) {
+  const m = /Slave muxer #(\d+) failed(?::\s*(.*?))?,\s*continuing with/i.exec(String(line || ''));
+  if (!m) return null;
+  return { index: Number(m[1]), message: m[2] || 'Destination failed' };
+}
+
+module.exports = { buildOutputUrl, parseDestinations, resolveOutputs, buildTeeSpec, applyOutputs, parseTeeFailure };
@@ -0,0 +1,138 @@
+// Build ffmpeg encoder settings from an EncodingProfile (or the built-in default)
+const { PRESETS } = require('../models/EncodingProfile');
+
+// Matches the historical hardcoded settings: 1080p cap, 3000k, veryfast, 128k AAC
+const DEFAULT_PROFILE = Object.freeze({
+  name: 'default',
+  width: 1920,
+  height: 1080,
+  videoBitrate: 3000,
+  preset: 'veryfast',
+  keyframeSeconds: 2,
+  audioBitrate: 128,
+  audioSampleRate: 44100,
+  audioChannels: 2,
+});
+
+function toPlainProfile(profile) {
+  if (!profile) return { ...DEFAULT_PROFILE };
+  const p = profile.toObject ? profile.toObject() : profile;
+  return { ...DEFAULT_PROFILE, ...Object.fromEntries(Object.entries(p).filter(([, v]) => v !== undefined && v !== null)) };
+}
+
+function scaleFilter(profile) {
+  return `scale=w=${profile.width}:h=${profile.height}:force_original_aspect_ratio=decrease:force_divisible_by=2`;
+}
+
+// Letterbox to exactly the profile size, for outputs stitched from several sources
+function padFilter(profile) {
+  return `pad=${profile.width}:${profile.height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+}
+
+// Frame size scaleFilter produces from a source of media.width x media.height; the profile box when unknown
+function scaledSize(profile, media) {
+  if (!media || !(media.width > 0) || !(media.height > 0)) return { width: profile.width, height: profile.height };
+  const ratio = Math.min(profile.width / media.width, profile.height / media.height);
+  const even = (n) => Math.max(2, Math.floor(n / 2) * 2);
+  return { width: even(media.width * ratio), height: even(media.height * ratio) };
+}
+
+/**
+ * Returns { videoCodec, audioCodec, audioBitrate, scaleFilter, padFilter, outputOptions } for a profile.
+ * outputOptions is a flat list of argv tokens (pass with spread to keep values intact).
+ */
+function buildEncodingOptions(input) {
+  const profile = toPlainProfile(input);
+  const bufsize = profile.bufsize || profile.videoBitrate * 2;
+  // Without a fixed frame rate, assume 30fps for the GOP length
+  const gop = Math.round((profile.fps || 30) * profile.keyframeSeconds);
+  const outputOptions = [
+    '-preset', profile.preset,
+    '-b:v', `${profile.videoBitrate}k`,
+    '-maxrate', `${profile.videoBitrate}k`,
+    '-bufsize', `${bufsize}k`,
+    '-g', String(gop),
+    '-keyint_min', String(gop),
+    '-sc_threshold', '0',
+    '-pix_fmt', 'yuv420p',
+    '-ar', String(profile.audioSampleRate),
+    '-ac', String(profile.audioChannels),
+  ];
+  if (profile.fps) outputOptions.push('-r', String(profile.fps));
+  return {
+    profile,
+    videoCodec: 'libx264',
+    audioCodec: 'aac',
+    audioBitrate: `${profile.audioBitrate}k`,
+    scaleFilter: scaleFilter(profile),
+    padFilter: padFilter(profile),
+    outputOptions,
+  };
+}
+
+// Rungs an overloaded encoder steps down through: presets no faster than superfast, frame heights
+const FASTEST_DOWNGRADE_PRESET = 'superfast';
+const DOWNGRADE_HEIGHTS = [720, 540, 360];
+
+/**
+ * Encoder settings one step lighter than `encoding`, for a host that cannot encode it in
+ * realtime: the next faster preset and the next smaller frame height, with the bitrate
+ * scaled to the frame area. `keepSize` changes the preset only. Null when nothing is left
+ * to lighten.
+ */
+function lighterEncoding(encoding, { keepSize = false } = {}) {
+  const { profile } = encoding;
+  const at = PRESETS.indexOf(profile.preset);
+  const floor = PRESETS.indexOf(FASTEST_DOWNGRADE_PRESET);
+  const preset = at > floor ? PRESETS[at - 1] : profile.preset;
+  const height = keepSize ? profile.height : DOWNGRADE_HEIGHTS.find((h) => h < profile.height) || profile.height;
+  if (preset === profile.preset && height === profile.height) return null;
+  const ratio = height / profile.height;
+  const scale = (kbps) => Math.max(300, Math.round((kbps * ratio * ratio) / 100) * 100);
+  const baseName = profile.baseName || profile.name;
+  return buildEncodingOptions({
+    ...profile,
+    name: `${baseName} (${height}p ${preset})`,
+    baseName,
+    width: Math.round((profile.width * ratio) / 2) * 2,
+    height,
+    preset,
+    videoBitrate: scale(profile.videoBitrate),
+    bufsize: profile.bufsize ? scale(profile.bufsize) : undefined,
+  });
+}
+
+/**
+ * Apply encoder settings to a fluent-ffmpeg command. With a FilterGraph the graph
+ * (which already contains the scale filter) provides -filter_complex and the maps.
+ */
+function applyEncoding(command, encoding, graph = null) {
+  command
+    .videoCodec(encoding.videoCodec)
+    .audioCodec(encoding.audioCodec)
+    .audioBitrate(encoding.audioBitrate)
+    .outputOptions(...encoding.outputOptions);
+  if (graph) return command.outputOptions(...graph.toOutputOptions());
+  return command.videoFilters(encoding.scaleFilter);
+}
+
+// Stream copy for files that are already H.264/AAC within ingest limits
+function applyPassthrough(command) {
+  return command.outputOptions('-c:v', 'copy', '-c:a', 'copy', '-bsf:a', 'aac_adtstoasc');
+}
+
+/**
+ * Pick 'copy' or 'transcode' for a video. In auto mode an explicit encoding
+ * profile always wins, since the operator asked for that output; filters force
+ * transcoding in every mode.
+ */
+function chooseStreamMode(video, { profileId, needsFilters } = {}) {
+  const compatible = !!(video && video.passthrough && video.passthrough.compatible);
+  const requested = (video && video.streamMode) || 'auto';
+  // Filters (overlays etc.) can only be applied when re-encoding
+  if (requested === 'transcode' || needsFilters) return 'transcode';
+  if (requested === 'copy') return compatible ? 'copy' : 'transcode';
+  return compatible && !profileId ? 'copy' : 'transcode';
+}
+
+module.exports = { DEFAULT_PROFILE, scaledSize, buildEncodingOptions, lighterEncoding, applyEncoding, applyPassthrough, chooseStreamMode };
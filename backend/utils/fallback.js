@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ffmpeg = require('./ffmpeg');
+const Video = require('../models/Video');
+const { FilterGraph, applyGraphInputs, escapeDrawtext } = require('./filtergraph');
+const { plain, checkAssetRefs, loadAssets, assetPath, drawtext } = require('./overlays');
+const { applyEncoding } = require('./encoding');
+const { parseJsonObject } = require('./jsonbody');
+
+function isEnabled(fallback) {
+  const f = plain(fallback);
+  return !!(f && f.enabled);
+}
+
+// The filler video and asset references are verified by checkFallbackRefs
+function parseFallback(input) {
+  return parseJsonObject(input, 'fallback');
+}
+
+// Resolves an error message or null
+async function checkFallbackRefs(fallback) {
+  const f = plain(fallback) || {};
+  if (f.fillerVideoId) {
+    if (!mongoose.isValidObjectId(f.fillerVideoId) || !(await Video.exists({ _id: f.fillerVideoId }))) {
+      return `Filler video not found: ${f.fillerVideoId}`;
+    }
+  }
+  return checkAssetRefs([
+    [f.backgroundAssetId, 'image'],
+    [f.fontAssetId, 'font'],
+  ]);
+}
+
+// Assets plus the filler video document, loaded once per stream
+async function loadFallbackMedia(fallback) {
+  const f = plain(fallback) || {};
+  const [assets, fillerVideo] = await Promise.all([
+    loadAssets([f.backgroundAssetId, f.fontAssetId]),
+    f.fillerVideoId ? Video.findById(f.fillerVideoId).lean().exec() : null,
+  ]);
+  return { assets, fillerVideo };
+}
+
+/**
+ * Build the filler command (without output): the filler video looped, or a slate
+ * with the fallback message. Encoded with the stream's profile and padded to its
+ * frame size so it can replace the primary source in a relay feed.
+ */
+function buildFillerCommand(fallback, { encoding, assets = new Map(), fillerVideo, writeTemp }) {
+  const f = plain(fallback) || {};
+  const { profile } = encoding;
+  const fps = profile.fps || 30;
+  const audio = `anullsrc=r=${profile.audioSampleRate}:cl=${profile.audioChannels === 1 ? 'mono' : 'stereo'}`;
+
+  const fillerPath = fillerVideo && fillerVideo.filepath && path.resolve(fillerVideo.filepath);
+  if (fillerPath && fs.existsSync(fillerPath)) {
+    const hasAudio = !(fillerVideo.media && fillerVideo.media.videoCodec && !fillerVideo.media.audioCodec);
+    const graph = new FilterGraph({ hasAudio });
+    graph.video(encoding.scaleFilter, encoding.padFilter);
+    if (!hasAudio) graph.audioPad = `${graph.addInput(audio, ['-f', 'lavfi'])}:a`;
+    const command = ffmpeg(fillerPath).inputOptions('-re', '-stream_loop', '-1');
+    return applyEncoding(applyGraphInputs(command, graph), encoding, graph);
+  }
+
+  const graph = new FilterGraph({ hasAudio: false });
+  let command;
+  const bgPath = assetPath(assets, f.backgroundAssetId);
+  if (bgPath) {
+    command = ffmpeg(bgPath).inputOptions('-re', '-loop', '1', '-framerate', String(fps));
+    graph.video(
+      `scale=${profile.width}:${profile.height}:force_original_aspect_ratio=increase`,
+      `crop=${profile.width}:${profile.height}`
+    );
+  } else {
+    const color = `color=c=${f.backgroundColor || 'black'}:s=${profile.width}x${profile.height}:r=${fps}`;
+    command = ffmpeg(color).inputOptions('-re', '-f', 'lavfi');
+  }
+  const text = [];
+  if (f.message) {
+    const file = writeTemp('fallback-message.txt', escapeDrawtext(f.message));
+    const font = assetPath(assets, f.fontAssetId) || process.env.OVERLAY_FONT_FILE || null;
+    const size = { fontSize: Math.round(profile.height / 18), fontColor: f.fontColor || 'white' };
+    text.push(drawtext(file, size, font, '(w-tw)/2', '(h-th)/2'));
+  }
+  graph.video('setsar=1', 'format=yuv420p', ...text);
+  graph.audioPad = `${graph.addInput(audio, ['-re', '-f', 'lavfi'])}:a`;
+  return applyEncoding(applyGraphInputs(command, graph), encoding, graph);
+}
+
+module.exports = { isEnabled, parseFallback, checkFallbackRefs, loadFallbackMedia, buildFillerCommand };
@@ -1,4 +1,5 @@
 const ffmpeg = require('fluent-ffmpeg');
+const { trackProcess } = require('./pidfile');
 
 // Resolve static binaries for cross-platform reliability
 let ffmpegPath = null;
@@ -26,4 +27,13 @@ if (ffprobePath) {
   try { ffmpeg.setFfprobePath(ffprobePath); } catch (_) {}
 }
 
-module.exports = ffmpeg;
\ No newline at end of file
+// fluent-ffmpeg factory whose processes are recorded in the PID file while they run
+function createCommand(...args) {
+  const command = ffmpeg(...args);
+  command.on('start', () => trackProcess(command.ffmpegProc));
+  return command;
+}
+// Static helpers (ffprobe, setFfmpegPath, ...) stay available on the factory
+Object.assign(createCommand, ffmpeg);
+
+module.exports = createCommand;
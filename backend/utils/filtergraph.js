@@ -0,0 +1,113 @@
+// Small builder for ffmpeg -filter_complex graphs with extra inputs
+
+// Level 1: value of a filter option (key=value pairs separated by ':')
+function escapeOptionValue(value) {
+  return String(value).replace(/[\\':]/g, '\\$&');
+}
+
+// Level 2: option value embedded in a filtergraph description
+function escapeFilterValue(value) {
+  return escapeOptionValue(value).replace(/[\\'[\],;]/g, '\\$&');
+}
+
+// Literal text for drawtext textfiles: '\' and '%' would otherwise start escapes/expansions
+function escapeDrawtext(text) {
+  return String(text).replace(/[\\%]/g, '\\$&');
+}
+
+/**
+ * Tracks the current video/audio pads while filters are appended, so features
+ * can be layered independently (scale, overlays, slates, audio processing).
+ * Input 0 is the main source; extra inputs are numbered from 1.
+ */
+class FilterGraph {
+  constructor({ hasAudio = true } = {}) {
+    this.inputs = []; // [{ source, options }]
+    this.chains = [];
+    this.videoPad = '0:v:0';
+    this.audioPad = hasAudio ? '0:a:0' : null;
+    this.seq = 0;
+  }
+
+  nextLabel(prefix) {
+    this.seq += 1;
+    return `${prefix}${this.seq}`;
+  }
+
+  // Register an extra input; returns its ffmpeg input index
+  addInput(source, options = []) {
+    this.inputs.push({ source, options });
+    return this.inputs.length;
+  }
+
+  // Add a chain with explicit pads, e.g. chain(['1:v'], 'scale=200:-1', 'wm')
+  chain(inPads, filters, outLabel) {
+    const ins = inPads.map((p) => `[${p}]`).join('');
+    const body = Array.isArray(filters) ? filters.join(',') : filters;
+    this.chains.push(`${ins}${body}[${outLabel}]`);
+    return outLabel;
+  }
+
+  // Append filters to the main video chain
+  video(...filters) {
+    const list = filters.filter(Boolean);
+    if (!list.length) return this;
+    this.videoPad = this.chain([this.videoPad], list, this.nextLabel('v'));
+    return this;
+  }
+
+  // Append filters to the main audio chain (no-op when the source has no audio)
+  audio(...filters) {
+    const list = filters.filter(Boolean);
+    if (!list.length || !this.audioPad) return this;
+    this.audioPad = this.chain([this.audioPad], list, this.nextLabel('a'));
+    return this;
+  }
+
+  // Composite another video pad on top of the main chain
+  overlay(pad, x, y) {
+    this.videoPad = this.chain([this.videoPad, pad], `overlay=x=${x}:y=${y}:format=auto`, this.nextLabel('v'));
+    return this;
+  }
+
+  /**
+   * Play another segment (e.g. a slate) before the main chain with the concat filter.
+   * Frame size and SAR must match the main chain; audio formats are negotiated.
+   */
+  prepend(videoPad, audioPad) {
+    const v = this.nextLabel('v');
+    if (this.audioPad && audioPad) {
+      const a = this.nextLabel('a');
+      this.chains.push(`[${videoPad}][${audioPad}][${this.videoPad}][${this.audioPad}]concat=n=2:v=1:a=1[${v}][${a}]`);
+      this.audioPad = a;
+    } else {
+      this.chains.push(`[${videoPad}][${this.videoPad}]concat=n=2:v=1:a=0[${v}]`);
+    }
+    this.videoPad = v;
+    return this;
+  }
+
+  isEmpty() {
+    return this.chains.length === 0;
+  }
+
+  // argv tokens for -filter_complex and the output maps
+  toOutputOptions() {
+    const mapPad = (pad, optional) => (/^\d+:/.test(pad) ? `${pad}${optional ? '?' : ''}` : `[${pad}]`);
+    const opts = ['-filter_complex', this.chains.join(';'), '-map', mapPad(this.videoPad, false)];
+    if (this.audioPad) opts.push('-map', mapPad(this.audioPad, true));
+    return opts;
+  }
+}
+
+// Add a graph's extra inputs (overlay images, lavfi sources) after a command's main input
+function applyGraphInputs(command, graph) {
+  if (!graph) return command;
+  for (const { source, options } of graph.inputs) {
+    command.input(source);
+    if (options.length) command.inputOptions(...options);
+  }
+  return command;
+}
+
+module.exports = { FilterGraph, applyGraphInputs, escapeOptionValue, escapeFilterValue, escapeDrawtext };
@@ -0,0 +1,21 @@
+/**
+ * Normalize an optional object field from a request body. Multipart uploads send it
+ * as a JSON string. Returns undefined when absent and null when explicitly cleared;
+ * throws "<name> must be ..." on bad input.
+ */
+function parseJsonObject(input, name) {
+  if (input === undefined) return undefined;
+  if (input === null || input === '') return null;
+  let value = input;
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (_) {
+      throw new Error(`${name} must be a JSON object`);
+    }
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error(`${name} must be an object`);
+  return value;
+}
+
+module.exports = { parseJsonObject };
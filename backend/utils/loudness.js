@@ -0,0 +1,124 @@
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+const Video = require('../models/Video');
+const { plain } = require('./overlays');
+const { parseJsonObject } = require('./jsonbody');
+
+const DEFAULTS = Object.freeze({ targetLufs: -23, truePeak: -1, lra: 7 });
+// The measuring pass decodes the whole audio track; give up on a stuck one
+const ANALYSIS_TIMEOUT_SECONDS = 30 * 60;
+
+function isEnabled(loudness) {
+  const l = plain(loudness);
+  return !!(l && l.enabled);
+}
+
+// Targets missing here fall back to DEFAULTS when the filter is built
+function parseLoudness(input) {
+  return parseJsonObject(input, 'loudness');
+}
+
+// Whether a video's config asks for a measurement it does not have yet
+function needsAnalysis(loudness, video) {
+  const l = plain(loudness);
+  if (!l || !l.enabled || !l.twoPass) return false;
+  const a = video && plain(video.loudnessAnalysis);
+  return !a || !a.status || a.status === 'failed';
+}
+
+// Two-pass config without a completed measurement: loudnormFilter falls back to a single pass
+function missingAnalysis(loudness, video) {
+  const l = plain(loudness);
+  if (!l || !l.enabled || !l.twoPass) return false;
+  const a = video && plain(video.loudnessAnalysis);
+  return !a || a.status !== 'done';
+}
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, Math.round(n * 100) / 100));
+}
+
+/**
+ * loudnorm filter for a config. With a completed analysis and twoPass the measured
+ * values are passed in and loudnorm runs in linear mode (a constant gain, no pumping);
+ * otherwise it normalizes dynamically in a single pass.
+ */
+function loudnormFilter(loudness, analysis) {
+  const l = { ...DEFAULTS, ...plain(loudness) };
+  const opts = [`I=${l.targetLufs}`, `TP=${l.truePeak}`, `LRA=${l.lra}`];
+  const a = l.twoPass ? plain(analysis) : null;
+  if (a && a.status === 'done' && Number.isFinite(a.inputI)) {
+    opts.push(
+      `measured_I=${clamp(a.inputI, -99, 0)}`,
+      `measured_TP=${clamp(a.inputTp, -99, 99)}`,
+      `measured_LRA=${clamp(a.inputLra, 0, 99)}`,
+      `measured_thresh=${clamp(a.inputThresh, -99, 0)}`,
+      'linear=true'
+    );
+  }
+  return `loudnorm=${opts.join(':')}`;
+}
+
+/**
+ * First loudnorm pass over a file's audio. Resolves { inputI, inputTp, inputLra, inputThresh };
+ * the measurement does not depend on the targets, so it stays valid when they change.
+ */
+function measureLoudness(filepath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(filepath, { timeout: ANALYSIS_TIMEOUT_SECONDS })
+      .noVideo()
+      .audioFilters(`loudnorm=I=${DEFAULTS.targetLufs}:TP=${DEFAULTS.truePeak}:LRA=${DEFAULTS.lra}:print_format=json`)
+      .format('null')
+      .output('-')
+      .on('end', (_stdout, stderr) => {
+        const match = String(stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/);
+        if (!match) return reject(new Error('loudnorm did not report a measurement'));
+        try {
+          const data = JSON.parse(match[0]);
+          const result = {
+            inputI: Number(data.input_i),
+            inputTp: Number(data.input_tp),
+            inputLra: Number(data.input_lra),
+            inputThresh: Number(data.input_thresh),
+          };
+          // Digital silence measures as -inf
+          if (!Number.isFinite(result.inputI)) return reject(new Error('No measurable audio (silent track)'));
+          resolve(result);
+        } catch (err) {
+          reject(new Error(`Unreadable loudnorm output: ${err.message}`));
+        }
+      })
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+async function analyzeVideo(videoId) {
+  const video = await Video.findById(videoId).lean().exec();
+  if (!video) return;
+  const update = (analysis) => Video.updateOne({ _id: videoId }, { loudnessAnalysis: analysis }).exec();
+  if (video.media && video.media.videoCodec && !video.media.audioCodec) {
+    await update({ status: 'failed', error: 'No audio stream', analyzedAt: new Date() });
+    return;
+  }
+  try {
+    const measured = await measureLoudness(path.resolve(video.filepath));
+    await update({ status: 'done', ...measured, analyzedAt: new Date() });
+    console.log(`[Loudness] Video ${videoId} measured at ${measured.inputI} LUFS`);
+  } catch (err) {
+    console.warn(`[Loudness] Analysis failed for ${videoId}: ${err.message}`);
+    await update({ status: 'failed', error: err.message, analyzedAt: new Date() });
+  }
+}
+
+// Analyses decode the whole audio track; run them one at a time in the background
+let queue = Promise.resolve();
+
+async function queueAnalysis(videoId) {
+  await Video.updateOne({ _id: videoId }, { loudnessAnalysis: { status: 'pending' } }).exec();
+  queue = queue.then(() => analyzeVideo(videoId)).catch((err) => {
+    console.warn(`[Loudness] Analysis error for ${videoId}: ${err.message}`);
+  });
+}
+
+module.exports = { DEFAULTS, isEnabled, parseLoudness, needsAnalysis, missingAnalysis, loudnormFilter, measureLoudness, queueAnalysis };
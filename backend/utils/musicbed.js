@@ -0,0 +1,128 @@
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+const { plain, checkAssetRefs, loadAssets, assetPath } = require('./overlays');
+const { parseJsonObject } = require('./jsonbody');
+
+const DEFAULT_VOLUME = 0.3;
+
+function isEnabled(musicBed) {
+  const m = plain(musicBed);
+  return !!(m && m.enabled && m.tracks && m.tracks.length);
+}
+
+// Shape checks only; checkMusicBedAssets verifies the tracks
+function parseMusicBed(input) {
+  const m = parseJsonObject(input, 'musicBed');
+  if (!m) return m;
+  if (m.tracks !== undefined && !Array.isArray(m.tracks)) throw new Error('musicBed.tracks must be an array of asset ids');
+  if (m.ducking !== undefined && m.ducking !== null && (typeof m.ducking !== 'object' || Array.isArray(m.ducking))) {
+    throw new Error('musicBed.ducking must be an object');
+  }
+  return m;
+}
+
+function checkMusicBedAssets(musicBed) {
+  const m = plain(musicBed) || {};
+  return checkAssetRefs((m.tracks || []).map((id) => [id, 'audio']));
+}
+
+function loadMusicBedAssets(musicBed) {
+  const m = plain(musicBed) || {};
+  return loadAssets((m.tracks || []).map(String));
+}
+
+/**
+ * Re-encode an uploaded audio file to AAC 48 kHz stereo in an .m4a container. Every audio
+ * asset then shares one format, so any list of tracks can be joined by the concat demuxer.
+ */
+function normalizeAudio(src, dest) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(src)
+      .noVideo()
+      .audioCodec('aac')
+      .audioBitrate('192k')
+      .audioFrequency(48000)
+      .audioChannels(2)
+      .outputOptions('-map_metadata', '-1')
+      .format('ipod')
+      .on('end', () => resolve(dest))
+      .on('error', (err) => reject(err))
+      .save(dest);
+  });
+}
+
+function concatEntry(filepath) {
+  return `file '${path.resolve(filepath).replace(/'/g, "'\\''")}'`;
+}
+
+function sidechainFilter(ducking) {
+  const d = { threshold: 0.05, ratio: 8, attackMs: 20, releaseMs: 400, ...ducking };
+  return `sidechaincompress=threshold=${d.threshold}:ratio=${d.ratio}:attack=${d.attackMs}:release=${d.releaseMs}`;
+}
+
+/**
+ * Add a music bed to a FilterGraph's audio. In 'mix' mode the music goes under the main
+ * audio (ducked while that audio is loud) and ends with it; in 'replace' mode, or when
+ * the source is silent, it becomes the soundtrack and is padded or cut to `remaining`
+ * seconds of content (Infinity for looping content, undefined when unknown).
+ * `writeTemp(name, content)` must return a path to a file that lives as long as the stream.
+ */
+function compileMusicBed(graph, musicBed, { assets = new Map(), writeTemp, sampleRate = 44100, channels = 2, remaining }) {
+  const m = plain(musicBed);
+  if (!m) return graph;
+  const files = (m.tracks || []).filter((id) => {
+    if (assetPath(assets, id)) return true;
+    console.warn(`[MusicBed] Audio asset ${id} missing; skipping track`);
+    return false;
+  }).map((id) => assetPath(assets, id));
+  if (!files.length) return graph;
+
+  const mixing = !!graph.audioPad && m.mode !== 'replace';
+  let loop = m.loop !== false;
+  if (loop && !mixing && remaining === undefined) {
+    // Nothing else would end the audio
+    console.warn('[MusicBed] Content length unknown; music plays once');
+    loop = false;
+  }
+  const list = writeTemp('music.ffconcat', `${['ffconcat version 1.0', ...files.map(concatEntry)].join('\n')}\n`);
+  const idx = graph.addInput(list, [...(loop ? ['-stream_loop', '-1'] : []), '-f', 'concat', '-safe', '0']);
+
+  const format = `aformat=sample_rates=${sampleRate}:channel_layouts=${channels === 1 ? 'mono' : 'stereo'}`;
+  const volume = m.volume === undefined ? DEFAULT_VOLUME : m.volume;
+  let music = graph.chain([`${idx}:a:0`], [format, `volume=${volume}`], graph.nextLabel('m'));
+
+  if (mixing) {
+    let main = graph.chain([graph.audioPad], format, graph.nextLabel('a'));
+    const ducking = plain(m.ducking) || {};
+    if (ducking.enabled !== false) {
+      const key = graph.nextLabel('k');
+      const split = graph.nextLabel('a');
+      graph.chains.push(`[${main}]asplit=2[${split}][${key}]`);
+      music = graph.chain([music, key], sidechainFilter(ducking), graph.nextLabel('m'));
+      main = split;
+    }
+    // normalize=0 keeps both levels as configured instead of halving them
+    graph.audioPad = graph.chain([main, music], 'amix=inputs=2:duration=first:dropout_transition=0:normalize=0', graph.nextLabel('a'));
+    return graph;
+  }
+
+  const tail = [];
+  if (Number.isFinite(remaining) && remaining > 0) {
+    // Silence after a short list, then stop with the picture
+    if (!loop) tail.push('apad');
+    tail.push(`atrim=duration=${remaining.toFixed(3)}`);
+  } else if (remaining === Infinity && !loop) {
+    tail.push('apad');
+  }
+  graph.audioPad = tail.length ? graph.chain([music], tail, graph.nextLabel('a')) : music;
+  return graph;
+}
+
+module.exports = {
+  isEnabled,
+  parseMusicBed,
+  checkMusicBedAssets,
+  loadMusicBedAssets,
+  normalizeAudio,
+  compileMusicBed,
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const dgram = require('dgram');
+const dns = require('dns');
+const net = require('net');
+const tls = require('tls');
+
+const PROBE_TIMEOUT_MS = 3000;
+
+/**
+ * Supported output protocols: the container ffmpeg muxes into, default port, where the
+ * stream key goes (last path segment, SRT streamid, or not used) and how a target is probed.
+ */
+const OUTPUT_PROTOCOLS = {
+  rtmp: { format: 'flv', port: 1935, key: 'path', probe: 'tcp' },
+  rtmps: { format: 'flv', port: 443, key: 'path', probe: 'tls' },
+  srt: { format: 'mpegts', key: 'streamid', probe: 'srt' },
+  rist: { format: 'mpegts', key: null, probe: 'dns' },
+  udp: { format: 'mpegts', key: null, probe: 'dns' },
+};
+const PROTOCOL_NAMES = Object.keys(OUTPUT_PROTOCOLS);
+
+// Protocol, host and port of an output URL; throws when it is not a supported target
+function parseOutputTarget(targetUrl) {
+  const text = typeof targetUrl === 'string' ? targetUrl.trim() : '';
+  const m = /^([a-z]+):\/\//i.exec(text);
+  const protocol = m ? m[1].toLowerCase() : '';
+  const spec = OUTPUT_PROTOCOLS[protocol];
+  if (!spec) throw new Error(`Invalid output URL (expected ${PROTOCOL_NAMES.join(', ')})`);
+  let u;
+  try {
+    u = new URL(text);
+  } catch (_) {
+    throw new Error('Invalid output URL');
+  }
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (!host) throw new Error('Invalid output URL: missing host');
+  const port = u.port ? Number(u.port) : spec.port;
+  if (!port) throw new Error(`Invalid output URL: ${protocol} targets need a port`);
+  return { protocol, host, port, spec, url: u };
+}
+
+/**
+ * Build the URL ffmpeg writes to from a target URL and stream key. RTMP keys are
+ * appended to the path, an SRT key becomes the streamid (unless the URL sets one)
+ * and RIST/UDP targets take no key. UDP gets MPEG-TS sized packets by default.
+ */
+function buildOutputUrl(targetUrl, streamKey) {
+  const { protocol, spec, url } = parseOutputTarget(targetUrl);
+  const key = typeof streamKey === 'string' ? streamKey.trim() : '';
+  if (spec.key === 'path') {
+    if (key.length < 8) throw new Error('Invalid stream key');
+    return targetUrl.endsWith('/') ? `${targetUrl}${streamKey}` : `${targetUrl}/${streamKey}`;
+  }
+  if (spec.key === 'streamid' && key && !url.searchParams.has('streamid')) {
+    url.searchParams.set('streamid', key);
+  }
+  if (protocol === 'udp' && !url.searchParams.has('pkt_size')) {
+    url.searchParams.set('pkt_size', '1316');
+  }
+  return url.toString();
+}
+
+// Container for an output URL: FLV for RTMP(S), MPEG-TS for everything else
+function outputFormat(outputUrl) {
+  return parseOutputTarget(outputUrl).spec.format;
+}
+
+function probeTcp(host, port, secure) {
+  return new Promise((resolve) => {
+    let done = false;
+    let socket;
+    const finish = (ok) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      try { socket.destroy(); } catch (_) {}
+      resolve(ok);
+    };
+    const timer = setTimeout(() => finish(false), PROBE_TIMEOUT_MS);
+    socket = secure
+      ? tls.connect({ host, port, servername: host }, () => finish(true))
+      : net.connect({ host, port }, () => finish(true));
+    socket.on('error', () => finish(false));
+  });
+}
+
+// SRT induction handshake (caller side); any SRT listener answers it, even one that would reject the stream
+function srtInduction() {
+  const buf = Buffer.alloc(64);
+  buf.writeUInt32BE(0x80000000, 0); // control packet, type 0: handshake
+  buf.writeUInt32BE(4, 16); // version
+  buf.writeUInt16BE(2, 22); // extension field: HSv5 induction
+  buf.writeUInt32BE(crypto.randomInt(0x7fffffff), 24); // initial sequence number
+  buf.writeUInt32BE(1500, 28); // MTU
+  buf.writeUInt32BE(8192, 32); // flow window
+  buf.writeUInt32BE(1, 36); // handshake type: induction
+  buf.writeUInt32BE(crypto.randomInt(1, 0x7fffffff), 40); // socket id
+  return buf;
+}
+
+async function probeSrt(host, port) {
+  let address;
+  try {
+    address = await dns.promises.lookup(host);
+  } catch (_) {
+    return false;
+  }
+  return new Promise((resolve) => {
+    const socket = dgram.createSocket(address.family === 6 ? 'udp6' : 'udp4');
+    let done = false;
+    const finish = (ok) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      try { socket.close(); } catch (_) {}
+      resolve(ok);
+    };
+    const timer = setTimeout(() => finish(false), PROBE_TIMEOUT_MS);
+    socket.on('message', (msg) => finish(msg.length >= 16 && (msg[0] & 0x80) !== 0));
+    // A connected socket reports ICMP port unreachable as an error
+    socket.on('error', () => finish(false));
+    socket.connect(port, address.address, () => {
+      socket.send(srtInduction(), (err) => { if (err) finish(false); });
+    });
+  });
+}
+
+/**
+ * Check an output target ahead of streaming. RTMP(S) and SRT targets are contacted
+ * (TCP/TLS connect, SRT handshake); RIST and UDP are connectionless, so only the
+ * host name is resolved and `reachable` is null when it does.
+ */
+async function probeOutput(targetUrl) {
+  const { protocol, host, port, spec } = parseOutputTarget(targetUrl);
+  const result = { protocol, host, port, format: spec.format, method: spec.probe };
+  if (spec.probe === 'tcp' || spec.probe === 'tls') {
+    result.reachable = await probeTcp(host, port, spec.probe === 'tls');
+  } else if (spec.probe === 'srt') {
+    result.reachable = await probeSrt(host, port);
+  } else {
+    try {
+      await dns.promises.lookup(host);
+      result.reachable = null;
+      result.note = `${protocol} is connectionless; only the host name could be checked`;
+    } catch (_) {
+      result.reachable = false;
+      result.note = `Host ${host} does not resolve`;
+    }
+  }
+  return result;
+}
+
+module.exports = { OUTPUT_PROTOCOLS, parseOutputTarget, buildOutputUrl, outputFormat, probeOutput };
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Asset = require('../models/Asset');
+const { escapeFilterValue, escapeDrawtext } = require('./filtergraph');
+const { parseJsonObject } = require('./jsonbody');
+
+// Placement expressions for overlay (W/H main, w/h overlay) and drawtext (w/h frame, tw/th text)
+const OVERLAY_POS = {
+  'top-left': (m) => [`${m}`, `${m}`],
+  'top-right': (m) => [`W-w-${m}`, `${m}`],
+  'bottom-left': (m) => [`${m}`, `H-h-${m}`],
+  'bottom-right': (m) => [`W-w-${m}`, `H-h-${m}`],
+  center: () => ['(W-w)/2', '(H-h)/2'],
+};
+const TEXT_POS = {
+  'top-left': (m) => [`${m}`, `${m}`],
+  'top-right': (m) => [`w-tw-${m}`, `${m}`],
+  'bottom-left': (m) => [`${m}`, `h-th-${m}`],
+  'bottom-right': (m) => [`w-tw-${m}`, `h-th-${m}`],
+  center: () => ['(w-tw)/2', '(h-th)/2'],
+};
+
+function plain(doc) {
+  if (!doc) return null;
+  return doc.toObject ? doc.toObject() : doc;
+}
+
+function hasOverlays(overlays) {
+  const o = plain(overlays);
+  if (!o) return false;
+  return !!((o.watermark && o.watermark.assetId) || (o.ticker && o.ticker.text) || (o.clock && o.clock.enabled));
+}
+
+const OVERLAY_KEYS = ['watermark', 'ticker', 'clock'];
+
+// Keep the known overlay sections; each must be an object
+function parseOverlays(input) {
+  const o = parseJsonObject(input, 'overlays');
+  if (!o) return o;
+  const out = {};
+  for (const key of OVERLAY_KEYS) {
+    if (o[key] === undefined || o[key] === null) continue;
+    if (typeof o[key] !== 'object' || Array.isArray(o[key])) throw new Error(`overlays.${key} must be an object`);
+    out[key] = o[key];
+  }
+  return out;
+}
+
+// Check [id, type] asset references; resolves an error message or null
+async function checkAssetRefs(refs) {
+  for (const [id, type] of refs.filter(([ref]) => ref)) {
+    if (!mongoose.isValidObjectId(id)) return `Invalid asset id: ${id}`;
+    const asset = await Asset.findById(id).select('type').lean().exec();
+    if (!asset || asset.type !== type) return `${type[0].toUpperCase()}${type.slice(1)} asset not found: ${id}`;
+  }
+  return null;
+}
+
+// Check that assets referenced by an overlay config exist and have the right type
+function checkOverlayAssets(overlays) {
+  const o = plain(overlays) || {};
+  return checkAssetRefs([
+    [o.watermark && o.watermark.assetId, 'image'],
+    [o.ticker && o.ticker.fontAssetId, 'font'],
+    [o.clock && o.clock.fontAssetId, 'font'],
+  ]);
+}
+
+// Fetch assets by id, keyed by id
+async function loadAssets(ids) {
+  const list = ids.filter(Boolean);
+  if (!list.length) return new Map();
+  const assets = await Asset.find({ _id: { $in: list } }).lean().exec();
+  return new Map(assets.map((a) => [String(a._id), a]));
+}
+
+// Fetch every asset referenced by an overlay config
+function loadOverlayAssets(overlays) {
+  const o = plain(overlays) || {};
+  return loadAssets([
+    o.watermark && o.watermark.assetId,
+    o.ticker && o.ticker.fontAssetId,
+    o.clock && o.clock.fontAssetId,
+  ]);
+}
+
+function assetPath(assets, id) {
+  const a = id && assets.get(String(id));
+  return a && a.filepath && fs.existsSync(a.filepath) ? a.filepath : null;
+}
+
+// Shared drawtext options: font, size, colors and placement
+function drawtext(textfile, cfg, fontfile, x, y) {
+  const parts = [
+    `textfile=${escapeFilterValue(textfile)}`,
+    `fontsize=${cfg.fontSize}`,
+    `fontcolor=${cfg.fontColor}`,
+  ];
+  if (fontfile) parts.push(`fontfile=${escapeFilterValue(fontfile)}`);
+  if (cfg.boxColor) parts.push('box=1', `boxcolor=${cfg.boxColor}`, 'boxborderw=12');
+  parts.push(`x=${x}`, `y=${y}`);
+  return `drawtext=${parts.join(':')}`;
+}
+
+/**
+ * Append watermark, ticker and clock filters to a FilterGraph.
+ * `writeTemp(name, content)` must return a path to a file that lives as long as the stream.
+ */
+function compileOverlays(graph, overlays, { assets = new Map(), width = 1920, writeTemp }) {
+  const o = plain(overlays);
+  if (!o) return graph;
+  const defaultFont = process.env.OVERLAY_FONT_FILE || null;
+
+  const wm = o.watermark;
+  const wmPath = wm && assetPath(assets, wm.assetId);
+  if (wm && wm.assetId && !wmPath) {
+    console.warn(`[Overlays] Watermark asset ${wm.assetId} missing; skipping watermark`);
+  }
+  if (wmPath) {
+    // A single image frame is repeated by overlay until the main input ends
+    const idx = graph.addInput(wmPath);
+    const wmWidth = Math.max(2, Math.round((width * (wm.scale || 0.15)) / 2) * 2);
+    const pad = graph.chain([`${idx}:v`], [
+      'format=rgba',
+      `colorchannelmixer=aa=${typeof wm.opacity === 'number' ? wm.opacity : 0.8}`,
+      `scale=${wmWidth}:-1`,
+    ], graph.nextLabel('wm'));
+    const [x, y] = OVERLAY_POS[wm.position || 'top-right'](wm.margin || 0);
+    graph.overlay(pad, x, y);
+  }
+
+  const ticker = o.ticker;
+  if (ticker && ticker.text) {
+    const text = escapeDrawtext(String(ticker.text).replace(/\s*\r?\n\s*/g, '   '));
+    const file = writeTemp('ticker.txt', text);
+    const m = ticker.margin || 0;
+    const y = ticker.position === 'top' ? `${m}` : `h-th-${m}`;
+    // Scroll right-to-left, wrapping once the text has fully left the frame
+    const x = ticker.scroll === false ? `${m}` : `w-mod(t*${ticker.speed || 120}\\,w+tw)`;
+    graph.video(drawtext(file, ticker, assetPath(assets, ticker.fontAssetId) || defaultFont, x, y));
+  }
+
+  const clock = o.clock;
+  if (clock && clock.enabled) {
+    const fmt = String(clock.format || '%H:%M:%S').replace(/[\\:}]/g, '\\$&');
+    const file = writeTemp('clock.txt', `%{localtime:${fmt}}`);
+    const [x, y] = TEXT_POS[clock.position || 'top-left'](clock.margin || 0);
+    graph.video(drawtext(file, clock, assetPath(assets, clock.fontAssetId) || defaultFont, x, y));
+  }
+
+  return graph;
+}
+
+module.exports = {
+  plain,
+  hasOverlays,
+  parseOverlays,
+  checkAssetRefs,
+  checkOverlayAssets,
+  loadAssets,
+  loadOverlayAssets,
+  assetPath,
+  drawtext,
+  compileOverlays,
+};
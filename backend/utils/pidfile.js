@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+// ffmpeg processes spawned by this server, so a restart can clean up after a crash
+const PID_FILE = process.env.FFMPEG_PID_FILE || path.join(process.cwd(), 'videos', 'ffmpeg-pids.json');
+
+const tracked = new Map(); // pid -> ISO start time
+
+function readPidFile() {
+  try {
+    return JSON.parse(fs.readFileSync(PID_FILE, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Read before this process writes its own list over it
+let previous = readPidFile();
+
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(PID_FILE), { recursive: true });
+    const pids = Array.from(tracked, ([pid, startedAt]) => ({ pid, startedAt }));
+    fs.writeFileSync(PID_FILE, JSON.stringify({ owner: process.pid, pids }));
+  } catch (err) {
+    console.warn(`[PidFile] Failed to write ${PID_FILE}: ${err.message}`);
+  }
+}
+
+// Record a spawned ffmpeg process until it exits
+function trackProcess(proc) {
+  if (!proc || !proc.pid) return;
+  const { pid } = proc;
+  tracked.set(pid, new Date().toISOString());
+  save();
+  proc.once('exit', () => {
+    tracked.delete(pid);
+    save();
+  });
+}
+
+// Alive and still an ffmpeg process (not a recycled PID); /proc is only there on Linux
+function isLeftoverFfmpeg(pid) {
+  try {
+    process.kill(pid, 0);
+  } catch (_) {
+    return false;
+  }
+  try {
+    return /ffmpeg/.test(fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8'));
+  } catch (_) {
+    return process.platform !== 'linux';
+  }
+}
+
+/**
+ * Kill ffmpeg processes a previous server process left running (it crashed or was
+ * killed before it could stop them). Runs once; resolves the PIDs that were killed.
+ */
+function killLeftovers() {
+  const data = previous;
+  previous = null;
+  if (!data || data.owner === process.pid || !Array.isArray(data.pids)) return [];
+  const killed = [];
+  for (const { pid } of data.pids) {
+    if (!Number.isInteger(pid) || tracked.has(pid) || !isLeftoverFfmpeg(pid)) continue;
+    try {
+      process.kill(pid, 'SIGKILL');
+      killed.push(pid);
+    } catch (err) {
+      console.warn(`[PidFile] Failed to kill leftover ffmpeg ${pid}: ${err.message}`);
+    }
+  }
+  save();
+  return killed;
+}
+
+module.exports = { trackProcess, killLeftovers };
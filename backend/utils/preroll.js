@@ -0,0 +1,105 @@
+const { escapeDrawtext } = require('./filtergraph');
+const { plain, checkAssetRefs, loadAssets, assetPath, drawtext } = require('./overlays');
+const { parseJsonObject } = require('./jsonbody');
+
+// Shorter remainders are not worth a slate; the content just starts
+const MIN_SLATE_SECONDS = 2;
+
+function isEnabled(preroll) {
+  const p = plain(preroll);
+  return !!(p && p.enabled && p.minutes > 0);
+}
+
+// Assets are verified separately by checkPrerollAssets
+function parsePreroll(input) {
+  return parseJsonObject(input, 'preroll');
+}
+
+function checkPrerollAssets(preroll) {
+  const p = plain(preroll) || {};
+  return checkAssetRefs([
+    [p.backgroundAssetId, 'image'],
+    [p.fontAssetId, 'font'],
+  ]);
+}
+
+function loadPrerollAssets(preroll) {
+  const p = plain(preroll) || {};
+  return loadAssets([p.backgroundAssetId, p.fontAssetId]);
+}
+
+// When the slate should go live for an item scheduled at `scheduleTime`
+function prerollStartAt(scheduleTime, preroll) {
+  const at = new Date(scheduleTime);
+  if (!isEnabled(preroll)) return at;
+  return new Date(at.getTime() - plain(preroll).minutes * 60_000);
+}
+
+// Seconds of slate left before `until`, or 0 when it is too late for one
+function slateSeconds(until, now = Date.now()) {
+  if (!until) return 0;
+  const secs = (new Date(until).getTime() - now) / 1000;
+  return secs >= MIN_SLATE_SECONDS ? Math.round(secs * 1000) / 1000 : 0;
+}
+
+/**
+ * Prepend a "starting soon" slate of `seconds` to the graph's main chain: background
+ * image or color, title, optional message and a countdown to the scheduled start.
+ * The main chain must already be exactly width x height with square pixels.
+ */
+function compileSlate(graph, preroll, { seconds, width, height, fps = 30, title, assets = new Map(), writeTemp, sampleRate = 44100, channels = 2 }) {
+  const p = plain(preroll) || {};
+  const font = assetPath(assets, p.fontAssetId) || process.env.OVERLAY_FONT_FILE || null;
+  const fontColor = p.fontColor || 'white';
+  const dur = seconds.toFixed(3);
+
+  let bg;
+  const bgPath = assetPath(assets, p.backgroundAssetId);
+  if (bgPath) {
+    const idx = graph.addInput(bgPath, ['-loop', '1', '-framerate', String(fps)]);
+    bg = [`${idx}:v`, [
+      `scale=${width}:${height}:force_original_aspect_ratio=increase`,
+      `crop=${width}:${height}`,
+    ]];
+  } else {
+    const idx = graph.addInput(`color=c=${p.backgroundColor || 'black'}:s=${width}x${height}:r=${fps}`, ['-f', 'lavfi']);
+    bg = [`${idx}:v`, []];
+  }
+
+  const text = [];
+  const line = (name, content, size, y) => {
+    const file = writeTemp(name, content);
+    text.push(drawtext(file, { fontSize: size, fontColor }, font, '(w-tw)/2', y));
+  };
+  if (title || p.title) line('slate-title.txt', escapeDrawtext(p.title || title), Math.round(height / 14), 'h/2-th-40');
+  // Counts down to the scheduled start; t is the slate's own running time
+  const left = `ceil(max(0,${dur}-t))`;
+  line('slate-countdown.txt', `Starting in %{eif:trunc(${left}/60):d:2}:%{eif:mod(${left},60):d:2}`, Math.round(height / 9), 'h/2+20');
+  if (p.message) line('slate-message.txt', escapeDrawtext(p.message), Math.round(height / 26), 'h-th-60');
+
+  const slateV = graph.chain([bg[0]], [
+    ...bg[1],
+    'setsar=1',
+    'format=yuv420p',
+    ...text,
+    `trim=duration=${dur}`,
+    'setpts=PTS-STARTPTS',
+  ], graph.nextLabel('slate'));
+
+  let slateA = null;
+  if (graph.audioPad) {
+    const idx = graph.addInput(`anullsrc=r=${sampleRate}:cl=${channels === 1 ? 'mono' : 'stereo'}`, ['-f', 'lavfi']);
+    slateA = graph.chain([`${idx}:a`], [`atrim=duration=${dur}`, 'asetpts=PTS-STARTPTS'], graph.nextLabel('slatea'));
+  }
+  return graph.prepend(slateV, slateA);
+}
+
+module.exports = {
+  isEnabled,
+  parsePreroll,
+  checkPrerollAssets,
+  loadPrerollAssets,
+  prerollStartAt,
+  slateSeconds,
+  compileSlate,
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('./ffmpeg');
+const { freeUdpPort } = require('./relay');
+
+// Off unless STREAM_PREVIEW is set: every preview costs one extra low-res encode
+const PREVIEW_ENABLED = /^(1|true|yes|on)$/i.test(String(process.env.STREAM_PREVIEW || ''));
+const PREVIEW_HEIGHT = Number(process.env.STREAM_PREVIEW_HEIGHT) || 360;
+const PREVIEW_KBPS = Number(process.env.STREAM_PREVIEW_KBPS) || 400;
+// Seconds between snapshots of the output; off unless set, since they add a monitor process per stream
+const SNAPSHOT_SECONDS = Math.max(0, Number(process.env.STREAM_SNAPSHOT_SECONDS) || 0);
+const SNAPSHOT_WIDTH = 480;
+const PREVIEW_ROOT = path.join(os.tmpdir(), 'ytschedule-preview');
+const SEGMENT_SECONDS = 2;
+const RESTART_DELAY_MS = 5000;
+
+const PLAYLIST_NAME = 'preview.m3u8';
+const SNAPSHOT_NAME = 'snapshot.jpg';
+const SEGMENT_PATTERN = /^preview\d+\.ts$/;
+
+/**
+ * Monitor of what a stream sends. The stream's output adds an MPEG-TS copy of its
+ * encode to a localhost UDP feed (see applyOutputs' `preview`); this process reads that
+ * feed into a temp directory: a short rolling low-res HLS playlist (`hls`) and/or the
+ * latest frame as a JPEG refreshed every SNAPSHOT_SECONDS (`snapshots`). The feed never
+ * ends on its own, so one preview process spans source relaunches.
+ */
+class Preview {
+  constructor(id, { hls = PREVIEW_ENABLED, snapshots = SNAPSHOT_SECONDS > 0 } = {}) {
+    this.id = String(id);
+    this.hls = hls;
+    this.snapshots = snapshots;
+    this.dir = path.join(PREVIEW_ROOT, this.id.replace(/[^A-Za-z0-9_-]/g, '_'));
+    this.port = null;
+    this.command = null;
+    this.restartTimer = null;
+    this.stopped = false;
+  }
+
+  get feedUrl() {
+    return `udp://127.0.0.1:${this.port}?pkt_size=1316`;
+  }
+
+  get playlistPath() {
+    return path.join(this.dir, PLAYLIST_NAME);
+  }
+
+  get snapshotPath() {
+    return path.join(this.dir, SNAPSHOT_NAME);
+  }
+
+  // Path of a segment file, or null for names the preview never writes
+  segmentPath(name) {
+    return SEGMENT_PATTERN.test(String(name)) ? path.join(this.dir, name) : null;
+  }
+
+  async start() {
+    if (!this.port) this.port = await freeUdpPort();
+    fs.rmSync(this.dir, { recursive: true, force: true });
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.run();
+    return this;
+  }
+
+  run() {
+    if (this.stopped) return;
+    const input = `udp://127.0.0.1:${this.port}?fifo_size=1000000&overrun_nonfatal=1`;
+    const command = ffmpeg(input).inputOptions('-f', 'mpegts', '-fflags', '+genpts+discardcorrupt');
+    // Snapshots alone only need keyframes decoded, which keeps them cheap
+    if (!this.hls) command.inputOptions('-skip_frame', 'nokey');
+    if (this.hls) {
+      command
+        .output(this.playlistPath)
+        .outputOptions(
+          '-map', '0:v:0?', '-map', '0:a:0?',
+          '-vf', `scale=-2:${PREVIEW_HEIGHT}`,
+          '-c:v', 'libx264', '-preset', 'veryfast', '-tune', 'zerolatency',
+          '-b:v', `${PREVIEW_KBPS}k`, '-maxrate', `${PREVIEW_KBPS}k`, '-bufsize', `${PREVIEW_KBPS * 2}k`,
+          '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+          '-c:a', 'aac', '-b:a', '64k', '-ac', '2',
+          '-hls_time', String(SEGMENT_SECONDS),
+          '-hls_list_size', '6',
+          '-hls_flags', 'delete_segments+omit_endlist',
+          '-hls_segment_filename', path.join(this.dir, 'preview%05d.ts')
+        )
+        .format('hls');
+    }
+    if (this.snapshots) {
+      command
+        .output(this.snapshotPath)
+        .outputOptions(
+          '-map', '0:v:0',
+          '-vf', `fps=1/${SNAPSHOT_SECONDS},scale=${SNAPSHOT_WIDTH}:-2`,
+          '-q:v', '5',
+          // Each frame goes to a temp file renamed over the last, so readers never see a partial JPEG
+          '-update', '1',
+          '-atomic_writing', '1'
+        )
+        .format('image2');
+    }
+    this.command = command;
+    command
+      .on('start', () => console.log(`[Preview][${this.id}] Writing to ${this.dir}`))
+      .on('end', () => this.restart())
+      .on('error', (err) => {
+        if (this.stopped || this.command !== command) return;
+        console.warn(`[Preview][${this.id}] ffmpeg exited: ${String(err.message).split('\n')[0]}`);
+        this.restart();
+      });
+    try {
+      command.run();
+    } catch (err) {
+      console.warn(`[Preview][${this.id}] Failed to start: ${err.message}`);
+      this.restart();
+    }
+  }
+
+  // The monitor is best-effort: it comes back on its own and never touches the stream
+  restart() {
+    if (this.stopped || this.restartTimer) return;
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      this.run();
+    }, RESTART_DELAY_MS);
+    this.restartTimer.unref();
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.restartTimer) clearTimeout(this.restartTimer);
+    const cmd = this.command;
+    this.command = null;
+    try { if (cmd) cmd.kill('SIGKILL'); } catch (_) {}
+    try { fs.rmSync(this.dir, { recursive: true, force: true }); } catch (_) {}
+  }
+}
+
+// Start a preview for a stream when previews or snapshots are enabled; null when off or it could not start
+async function openPreview(id) {
+  if (!PREVIEW_ENABLED && !SNAPSHOT_SECONDS) return null;
+  try {
+    return await new Preview(id).start();
+  } catch (err) {
+    console.warn(`[Preview][${id}] Not available: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = { Preview, openPreview, PREVIEW_ENABLED, SNAPSHOT_SECONDS };
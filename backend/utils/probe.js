@@ -0,0 +1,122 @@
+const { spawn } = require('child_process');
+const ffmpeg = require('./ffmpeg');
+
+let ffprobeBin = 'ffprobe';
+try {
+  ffprobeBin = require('@ffprobe-installer/ffprobe').path;
+} catch (_) {}
+
+// Upper bounds for streaming a file as-is (stream copy) to an RTMP ingest
+const PASSTHROUGH_MAX_KBPS = Number(process.env.PASSTHROUGH_MAX_KBPS) || 8000;
+const PASSTHROUGH_MAX_KEYFRAME_SECONDS = 4;
+const SOURCE_PROBE_TIMEOUT_MS = 15_000;
+
+function parseRate(rate) {
+  if (!rate || typeof rate !== 'string') return undefined;
+  const [num, den] = rate.split('/').map(Number);
+  if (!num || !den) return undefined;
+  return Math.round((num / den) * 100) / 100;
+}
+
+function toKbps(bps) {
+  const n = Number(bps);
+  return n > 0 ? Math.round(n / 1000) : undefined;
+}
+
+function ffprobe(filepath, options = []) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(filepath, options, (err, data) => resolve(err ? null : data));
+  });
+}
+
+/**
+ * Largest gap in seconds between keyframes over the first minute of the file.
+ * Only keyframes are decoded, so this stays cheap for long uploads.
+ */
+function probeKeyframeInterval(filepath) {
+  return new Promise((resolve) => {
+    try {
+      const args = ['-v', 'error', '-select_streams', 'v:0', '-skip_frame', 'nokey', '-read_intervals', '%+60',
+        '-show_entries', 'frame=pts_time', '-of', 'csv=p=0', filepath];
+      const p = spawn(ffprobeBin, args, { stdio: ['ignore', 'pipe', 'ignore'] });
+      let out = '';
+      p.stdout.on('data', (d) => { out += String(d || ''); });
+      p.on('close', () => {
+        const times = out.split(/\r?\n/).map(Number).filter((n) => Number.isFinite(n) && n >= 0);
+        if (times.length < 2) return resolve(undefined);
+        let max = 0;
+        for (let i = 1; i < times.length; i++) max = Math.max(max, times[i] - times[i - 1]);
+        resolve(Math.round(max * 100) / 100);
+      });
+      p.on('error', () => resolve(undefined));
+    } catch (_) {
+      resolve(undefined);
+    }
+  });
+}
+
+// Decide whether a probed file can be sent with `-c copy`; returns { compatible, reason }
+function checkPassthrough(media) {
+  if (!media) return { compatible: false, reason: 'File could not be probed' };
+  if (media.videoCodec !== 'h264') return { compatible: false, reason: `Video codec ${media.videoCodec || 'unknown'} is not H.264` };
+  if (media.pixFmt && media.pixFmt !== 'yuv420p') return { compatible: false, reason: `Pixel format ${media.pixFmt} is not yuv420p` };
+  if (media.audioCodec !== 'aac') return { compatible: false, reason: `Audio codec ${media.audioCodec || 'none'} is not AAC` };
+  if (media.width > 3840 || media.height > 2160) return { compatible: false, reason: 'Resolution exceeds 4K' };
+  if (media.fps && media.fps > 60) return { compatible: false, reason: 'Frame rate exceeds 60fps' };
+  if (media.bitrate && media.bitrate > PASSTHROUGH_MAX_KBPS) {
+    return { compatible: false, reason: `Bitrate ${media.bitrate}k exceeds ${PASSTHROUGH_MAX_KBPS}k` };
+  }
+  if (media.keyframeInterval && media.keyframeInterval > PASSTHROUGH_MAX_KEYFRAME_SECONDS) {
+    return { compatible: false, reason: `Keyframe interval ${media.keyframeInterval}s exceeds ${PASSTHROUGH_MAX_KEYFRAME_SECONDS}s` };
+  }
+  return { compatible: true };
+}
+
+// Stream summary (codecs, size, rates) of ffprobe output
+function describeMedia(data) {
+  const streams = data.streams || [];
+  const vStream = streams.find((s) => s.codec_type === 'video');
+  const aStream = streams.find((s) => s.codec_type === 'audio');
+  return {
+    container: data.format && data.format.format_name,
+    videoCodec: vStream && vStream.codec_name,
+    pixFmt: vStream && vStream.pix_fmt,
+    width: vStream && vStream.width,
+    height: vStream && vStream.height,
+    fps: vStream && parseRate(vStream.avg_frame_rate || vStream.r_frame_rate),
+    videoBitrate: vStream && toKbps(vStream.bit_rate),
+    audioCodec: aStream && aStream.codec_name,
+    audioBitrate: aStream && toKbps(aStream.bit_rate),
+    audioSampleRate: aStream && Number(aStream.sample_rate) || undefined,
+    audioChannels: aStream && aStream.channels,
+    bitrate: data.format && toKbps(data.format.bit_rate),
+  };
+}
+
+/**
+ * Probe an uploaded file. Resolves { duration, media, passthrough } and never rejects;
+ * fields are undefined when ffprobe is unavailable or the file is unreadable.
+ */
+async function probeMedia(filepath) {
+  const data = await ffprobe(filepath);
+  if (!data) return { duration: undefined, media: undefined, passthrough: checkPassthrough(null) };
+  const vStream = (data.streams || []).find((s) => s.codec_type === 'video');
+  const dur = (data.format && data.format.duration) || (vStream && vStream.duration);
+  const media = describeMedia(data);
+  if (media.videoCodec === 'h264') {
+    media.keyframeInterval = await probeKeyframeInterval(filepath);
+  }
+  return {
+    duration: dur ? Math.round(Number(dur)) : undefined,
+    media,
+    passthrough: checkPassthrough(media),
+  };
+}
+
+// Streams of a resolved remote source, giving up on an unresponsive one; undefined when unreadable
+async function probeSource(input) {
+  const data = await ffprobe(input, ['-rw_timeout', String(SOURCE_PROBE_TIMEOUT_MS * 1000)]);
+  return data ? describeMedia(data) : undefined;
+}
+
+module.exports = { probeMedia, probeSource, checkPassthrough };
@@ -0,0 +1,151 @@
+const Video = require('../models/Video');
+const Playlist = require('../models/Playlist');
+const ExternalJob = require('../models/ExternalJob');
+const streamer = require('./streamer');
+const { syncVideo, syncPlaylist } = require('./supabase');
+
+// What to do with streams a crashed or killed server left marked 'streaming'
+const RECOVERY_POLICIES = ['interrupt', 'resume'];
+const RECOVERY_POLICY = RECOVERY_POLICIES.includes(process.env.STREAM_RECOVERY) ? process.env.STREAM_RECOVERY : 'interrupt';
+
+const INTERRUPTED_MESSAGE = 'Server restarted while streaming';
+
+async function markVideoInterrupted(video, reason = INTERRUPTED_MESSAGE) {
+  video.status = 'interrupted';
+  video.errorMessage = reason;
+  video.streamEndedAt = new Date();
+  await video.save();
+  await streamer.recordEvent(String(video._id), 'interrupted', { position: video.lastPosition, message: reason });
+  try { await syncVideo(video); } catch (_) {}
+  console.log(`[Recovery] Video ${video._id} marked interrupted`);
+}
+
+/**
+ * Put an orphaned video back on air. Playlist items are rewound so the scheduler replays
+ * them (from the top of the item); standalone videos restart at their last position.
+ * Resolves false when it cannot be resumed.
+ */
+async function resumeVideo(video) {
+  const id = String(video._id);
+  if (video.playlistId) {
+    const playlist = await Playlist.findById(video.playlistId).exec();
+    if (!playlist || playlist.status !== 'running') return false;
+    const index = playlist.videos.findIndex((v) => String(v) === id);
+    if (index < 0) return false;
+    // The index moves past an item once it has started
+    if (playlist.currentIndex === index + 1) {
+      playlist.currentIndex = index;
+      await playlist.save();
+    }
+    video.status = 'scheduled';
+    await video.save();
+    await streamer.recordEvent(id, 'resumed', { message: 'Requeued in its playlist after a server restart' });
+    console.log(`[Recovery] Playlist item ${id} requeued at index ${index}`);
+    return true;
+  }
+  try {
+    // The original start keeps a maxDuration limit where it was
+    await streamer.startStream(id, { resumeAt: video.lastPosition || 0, startedAt: video.streamStartedAt });
+    await streamer.recordEvent(id, 'resumed', { position: video.lastPosition, message: 'Resumed after a server restart' });
+    console.log(`[Recovery] Video ${id} resumed at ${video.lastPosition || 0}s`);
+    return true;
+  } catch (err) {
+    console.warn(`[Recovery] Could not resume video ${id}: ${err.message}`);
+    return false;
+  }
+}
+
+async function resumeJob(job) {
+  try {
+    const { streamId } = await streamer.startUrlStream(job.sourceUrl, {
+      rtmpUrl: job.rtmpUrl,
+      streamKey: job.streamKey,
+      destinations: job.destinations,
+      profileId: job.profileId,
+      fallback: job.fallback,
+      live: job.live,
+      loopCount: job.loopCount,
+      maxDuration: job.maxDuration,
+      startedAt: job.startedAt,
+    });
+    job.streamId = streamId;
+    job.outputs = streamer.getStreamStatus(streamId).destinations || [];
+    await job.save();
+    await streamer.recordEvent(streamId, 'resumed', { message: 'Restarted after a server restart' });
+    console.log(`[Recovery] External job ${job._id} restarted as ${streamId}`);
+    return true;
+  } catch (err) {
+    console.warn(`[Recovery] Could not restart external job ${job._id}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Reconcile records marked 'streaming' that have no process in this server (the previous
+ * one died with them on air): resume them or mark them 'interrupted' per STREAM_RECOVERY.
+ * Running playlists with nothing on air follow the same policy: kept running for the
+ * scheduler to pick up, or interrupted so it does not move on to their next item.
+ * Streams past their stopTime are never resumed. Resolves { videos, jobs, playlists, resumed }.
+ */
+async function reconcileOrphans() {
+  const now = new Date();
+  const active = new Set(streamer.getAllActiveStreams().map(String));
+  const result = { videos: 0, jobs: 0, playlists: 0, resumed: 0 };
+
+  const videos = await Video.find({ status: 'streaming' }).sort({ streamStartedAt: 1 }).exec();
+  for (const video of videos) {
+    if (active.has(String(video._id))) continue;
+    result.videos += 1;
+    const expired = video.stopTime && video.stopTime <= now;
+    try {
+      if (RECOVERY_POLICY === 'resume' && !expired && (await resumeVideo(video))) {
+        result.resumed += 1;
+        continue;
+      }
+      await markVideoInterrupted(video);
+    } catch (err) {
+      console.error(`[Recovery] Failed to reconcile video ${video._id}: ${err.message}`);
+    }
+  }
+
+  const jobs = await ExternalJob.find({ status: 'streaming' }).sort({ startedAt: 1 }).exec();
+  for (const job of jobs) {
+    if (job.streamId && active.has(job.streamId)) continue;
+    result.jobs += 1;
+    const expired = job.stopTime && job.stopTime <= now;
+    try {
+      if (RECOVERY_POLICY === 'resume' && !expired && (await resumeJob(job))) {
+        result.resumed += 1;
+        continue;
+      }
+      if (job.streamId) await streamer.recordEvent(job.streamId, 'interrupted', { message: INTERRUPTED_MESSAGE });
+      job.status = 'interrupted';
+      job.errorMessage = INTERRUPTED_MESSAGE;
+      job.endedAt = new Date();
+      await job.save();
+      console.log(`[Recovery] External job ${job._id} marked interrupted`);
+    } catch (err) {
+      console.error(`[Recovery] Failed to reconcile external job ${job._id}: ${err.message}`);
+    }
+  }
+
+  const playlists = await Playlist.find({ status: 'running' }).exec();
+  for (const playlist of playlists) {
+    if (streamer.getPlaylistSession(playlist._id) || playlist.videos.some((v) => active.has(String(v)))) continue;
+    result.playlists += 1;
+    // Resumed by the scheduler from currentIndex (items requeued above)
+    if (RECOVERY_POLICY === 'resume') continue;
+    try {
+      playlist.status = 'interrupted';
+      playlist.streamEndedAt = new Date();
+      await playlist.save();
+      try { await syncPlaylist(playlist); } catch (_) {}
+      console.log(`[Recovery] Playlist ${playlist._id} marked interrupted`);
+    } catch (err) {
+      console.error(`[Recovery] Failed to reconcile playlist ${playlist._id}: ${err.message}`);
+    }
+  }
+  return result;
+}
+
+module.exports = { RECOVERY_POLICY, reconcileOrphans };
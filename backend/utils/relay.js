@@ -0,0 +1,122 @@
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const ffmpeg = require('./ffmpeg');
+const { applyOutputs } = require('./destinations');
+
+// Reserve a free localhost UDP port for a relay feed
+function freeUdpPort() {
+  return new Promise((resolve, reject) => {
+    const sock = dgram.createSocket('udp4');
+    sock.once('error', reject);
+    sock.bind(0, '127.0.0.1', () => {
+      const { port } = sock.address();
+      sock.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Persistent output stage for a stream. One ffmpeg process holds the RTMP session(s)
+ * and stream-copies an MPEG-TS feed read from localhost UDP; sources (content, filler,
+ * slates) encode into that feed one after another, so the ingest never sees a
+ * disconnect when the source changes. Sources must share one encoding profile.
+ *
+ * With a `preview` (see utils/preview) the output also feeds the stream's HLS monitor.
+ *
+ * Emits 'start', 'stderr' (line), 'end' and 'error' (err) for the output process.
+ */
+class Relay extends EventEmitter {
+  constructor(id, outputs, { preview = null } = {}) {
+    super();
+    this.id = id;
+    this.outputs = outputs;
+    this.preview = preview;
+    this.port = null;
+    this.command = null;
+    this.startedMs = null;
+    this.running = false;
+    this.stopping = false;
+  }
+
+  get feedUrl() {
+    return `udp://127.0.0.1:${this.port}?pkt_size=1316`;
+  }
+
+  // Seconds since the output went live; sources continue the output timeline from here
+  elapsed() {
+    return this.startedMs ? (Date.now() - this.startedMs) / 1000 : 0;
+  }
+
+  // Spawn the output process; resolves once ffmpeg is running
+  async start() {
+    if (this.running) return this;
+    this.stopping = false;
+    if (!this.port) this.port = await freeUdpPort();
+    const input = `udp://127.0.0.1:${this.port}?fifo_size=1000000&overrun_nonfatal=1`;
+    const command = ffmpeg(input)
+      .inputOptions('-f', 'mpegts', '-fflags', '+genpts+discardcorrupt')
+      .outputOptions('-c:v', 'copy', '-c:a', 'copy', '-bsf:a', 'aac_adtstoasc');
+    applyOutputs(command, this.outputs, { preview: this.preview && this.preview.feedUrl });
+    this.command = command;
+
+    return new Promise((resolve, reject) => {
+      let started = false;
+      command
+        .on('start', (cmdLine) => {
+          started = true;
+          this.running = true;
+          if (!this.startedMs) this.startedMs = Date.now();
+          console.log(`[Relay][${this.id}] Output started: ${cmdLine}`);
+          this.emit('start');
+          resolve(this);
+        })
+        .on('stderr', (line) => this.emit('stderr', line))
+        .on('end', () => {
+          if (this.command !== command) return;
+          this.running = false;
+          this.emit('end');
+        })
+        .on('error', (err) => {
+          if (!started) return reject(err);
+          if (this.command !== command) return;
+          this.running = false;
+          // Deliberate stops surface as SIGINT/SIGKILL errors
+          if (this.stopping) return this.emit('end');
+          this.emit('error', err);
+        });
+      try {
+        command.run();
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  /**
+   * Point a source command at the feed. The offset keeps output timestamps
+   * continuous across sources; call right before running the command.
+   */
+  attach(command) {
+    return command
+      .outputOptions('-output_ts_offset', this.elapsed().toFixed(3))
+      .format('mpegts')
+      .output(this.feedUrl);
+  }
+
+  // Gracefully end the output (flushes the muxers); the feed never reaches EOF by itself
+  stop() {
+    const cmd = this.command;
+    if (!cmd || !this.running) return;
+    this.stopping = true;
+    if (cmd.ffmpegProc && cmd.ffmpegProc.stdin) {
+      try { cmd.ffmpegProc.stdin.write('q'); } catch (_) {}
+    }
+    setTimeout(() => {
+      if (this.running && this.command === cmd) {
+        try { cmd.kill('SIGKILL'); } catch (_) {}
+      }
+    }, 5000).unref();
+  }
+}
+
+module.exports = { Relay, freeUdpPort };
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { spawn } = require('child_process');
+const ytdl = require('ytdl-core');
+let ytdlp = null;
+try {
+  // Optional: yt-dlp fallback for robust URL resolution
+  ytdlp = require('yt-dlp-exec');
+} catch (_) {}
+if (!ytdlp) {
+  try { ytdlp = require('youtube-dl-exec'); } catch (_) {}
+}
+
+// yt-dlp format selector used unless a resolver prefers another
+const DEFAULT_QUALITY = 'best[height<=1080]/best';
+const YTDLP_TIMEOUT_MS = 60_000;
+const HTTP_INPUT_OPTIONS = ['-user_agent', 'Mozilla/5.0'];
+// Direct files may be long downloads; let ffmpeg reconnect instead of ending the stream
+const FILE_INPUT_OPTIONS = [...HTTP_INPUT_OPTIONS, '-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5'];
+const MEDIA_EXTENSIONS = ['mp4', 'm4v', 'mov', 'mkv', 'webm', 'flv', 'avi', 'ts', 'mpg', 'mpeg', 'mp3', 'm4a', 'aac', 'wav', 'ogg', 'flac'];
+
+// Local sources must live in the upload directory or one listed in LOCAL_SOURCE_DIRS
+const LOCAL_SOURCE_DIRS = [path.join(process.cwd(), 'videos'), ...String(process.env.LOCAL_SOURCE_DIRS || '').split(path.delimiter)]
+  .filter(Boolean)
+  .map((dir) => path.resolve(dir));
+
+function resolveViaYtdlpBin(url, format) {
+  return new Promise((resolve) => {
+    try {
+      const args = ['-g', '-f', format, url];
+      let bin = 'yt-dlp';
+      // Allow custom env override or local binary
+      const envBin = process.env.YTDLP_BIN || process.env.YT_DLP_BIN;
+      const localBin = path.resolve(__dirname, '../bin/yt-dlp.exe');
+      if (envBin && envBin.trim()) bin = envBin.trim();
+      else if (fs.existsSync(localBin)) bin = localBin;
+
+      const p = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: YTDLP_TIMEOUT_MS });
+      let out = '';
+      p.stdout.on('data', (d) => { out += String(d || ''); });
+      p.on('close', (code) => {
+        if (code === 0) {
+          const u = out.trim().split(/\r?\n/)[0] || '';
+          resolve(u || null);
+        } else {
+          resolve(null);
+        }
+      });
+      p.on('error', () => resolve(null));
+    } catch (_) {
+      resolve(null);
+    }
+  });
+}
+
+// Direct media URL from yt-dlp (module first, then the binary); null when neither can resolve it
+async function resolveViaYtdlp(url, format) {
+  if (ytdlp) {
+    try {
+      const out = await ytdlp(url, { getUrl: true, format, noWarnings: true, noCheckCertificates: true, quiet: true });
+      const directUrl = Array.isArray(out) ? (out[0] || '').trim() : String(out || '').trim().split(/\r?\n/)[0];
+      if (directUrl) return { url: directUrl, via: 'yt-dlp' };
+    } catch (err) {
+      console.warn(`[Resolver] yt-dlp resolve failed: ${err.message}`);
+    }
+  }
+  const directUrl = await resolveViaYtdlpBin(url, format);
+  return directUrl ? { url: directUrl, via: 'yt-dlp binary' } : null;
+}
+
+function isWithin(file, dir) {
+  return file === dir || file.startsWith(`${dir}${path.sep}`);
+}
+
+function realDir(dir) {
+  try {
+    return fs.realpathSync(dir);
+  } catch (_) {
+    return dir;
+  }
+}
+
+/**
+ * Built-in resolvers, tried in order; the first whose pattern matches the URL handles it.
+ * resolve(url, { seekSeconds, quality, dryRun }) returns { input, seekable, via, inputOptions }:
+ * `input` is a path/URL for ffmpeg or a readable stream (null on a dry run that would stream).
+ */
+const BUILTIN_RESOLVERS = [
+  {
+    name: 'local',
+    label: 'Local file on the server',
+    patterns: [/^file:\/\//i, /^\//, /^[A-Za-z]:[\\/]/],
+    async resolve(url) {
+      const file = /^file:\/\//i.test(url) ? fileURLToPath(url) : url;
+      let real;
+      try {
+        real = fs.realpathSync(path.resolve(file));
+      } catch (_) {
+        throw new Error(`Local source not found: ${file}`);
+      }
+      if (!LOCAL_SOURCE_DIRS.some((dir) => isWithin(real, realDir(dir)))) {
+        throw new Error('Local source is outside the allowed directories (see LOCAL_SOURCE_DIRS)');
+      }
+      if (!fs.statSync(real).isFile()) throw new Error(`Local source is not a file: ${file}`);
+      return { input: real, seekable: true, via: 'file' };
+    },
+  },
+  {
+    name: 'youtube',
+    label: 'YouTube',
+    patterns: [/youtube\.com\/(?:watch\?(?:.*&)?v=|live\/|shorts\/)/i, /youtu\.be\//i],
+    quality: DEFAULT_QUALITY,
+    async resolve(url, { seekSeconds, quality, dryRun }) {
+      const direct = await resolveViaYtdlp(url, quality);
+      // ffmpeg will auto-detect the container
+      if (direct) return { input: direct.url, seekable: true, via: direct.via, inputOptions: HTTP_INPUT_OPTIONS };
+
+      // Fallback to ytdl-core stream; it cannot be seeked by ffmpeg, so ask ytdl to begin at the position
+      if (dryRun) {
+        if (!ytdl.validateURL(url)) throw new Error('Not a valid YouTube video URL');
+        return { input: null, seekable: false, via: 'ytdl-core' };
+      }
+      try {
+        const ytdlOpts = { quality: 'highest', filter: 'audioandvideo', highWaterMark: 1 << 25 };
+        if (seekSeconds > 0) ytdlOpts.begin = Math.floor(seekSeconds * 1000);
+        return { input: ytdl(url, ytdlOpts), seekable: false, via: 'ytdl-core' };
+      } catch (err) {
+        throw new Error(`Failed to initialize YouTube download: ${err.message}`);
+      }
+    },
+  },
+  {
+    name: 'twitch',
+    label: 'Twitch VOD',
+    patterns: [/^https?:\/\/(?:www\.|m\.)?twitch\.tv\/videos\/\d+/i],
+    quality: DEFAULT_QUALITY,
+    async resolve(url, { quality }) {
+      const direct = await resolveViaYtdlp(url, quality);
+      if (!direct) throw new Error('Could not resolve Twitch VOD (is yt-dlp installed?)');
+      return { input: direct.url, seekable: true, via: direct.via, inputOptions: HTTP_INPUT_OPTIONS };
+    },
+  },
+  {
+    name: 'manifest',
+    label: 'HLS/DASH manifest',
+    patterns: [/^https?:\/\/[^?#]+\.(?:m3u8|mpd)(?:[?#]|$)/i],
+    async resolve(url) {
+      return { input: url, seekable: true, via: 'direct', inputOptions: HTTP_INPUT_OPTIONS };
+    },
+  },
+  {
+    name: 'http',
+    label: 'Direct HTTP media file',
+    patterns: [new RegExp(`^https?://[^?#]+\\.(?:${MEDIA_EXTENSIONS.join('|')})(?:[?#]|$)`, 'i')],
+    async resolve(url) {
+      return { input: url, seekable: true, via: 'direct', inputOptions: FILE_INPUT_OPTIONS };
+    },
+  },
+  {
+    name: 'ytdlp',
+    label: 'Other sites supported by yt-dlp',
+    patterns: [/^https?:\/\//i],
+    quality: DEFAULT_QUALITY,
+    async resolve(url, { quality }) {
+      const direct = await resolveViaYtdlp(url, quality);
+      if (direct) return { input: direct.url, seekable: true, via: direct.via, inputOptions: HTTP_INPUT_OPTIONS };
+      // Not a page yt-dlp knows; maybe ffmpeg can read it as is
+      return { input: url, seekable: true, via: 'direct', inputOptions: HTTP_INPUT_OPTIONS };
+    },
+  },
+  {
+    name: 'passthrough',
+    label: 'Stream protocols (rtmp, rtsp, srt, udp, rtp, rist, tcp)',
+    patterns: [/^(?:rtmp[st]?|rtsps?|srt|udp|rtp|rist|tcp):\/\//i],
+    async resolve(url) {
+      return { input: url, seekable: false, via: 'direct' };
+    },
+  },
+];
+
+const resolvers = [];
+
+/**
+ * Add a resolver ({ name, label, patterns, quality, resolve }). A resolver with the same
+ * name is replaced in place; new ones go before `before` (a resolver name) or at the end.
+ */
+function registerResolver(resolver, { before } = {}) {
+  if (!resolver || !resolver.name || typeof resolver.resolve !== 'function') {
+    throw new Error('A resolver needs a name and a resolve function');
+  }
+  if (!Array.isArray(resolver.patterns) || !resolver.patterns.length || !resolver.patterns.every((p) => p instanceof RegExp)) {
+    throw new Error(`Resolver ${resolver.name} needs at least one RegExp pattern`);
+  }
+  const existing = resolvers.findIndex((r) => r.name === resolver.name);
+  if (existing >= 0) {
+    resolvers[existing] = resolver;
+    return resolver;
+  }
+  const at = before ? resolvers.findIndex((r) => r.name === before) : -1;
+  if (at >= 0) resolvers.splice(at, 0, resolver);
+  else resolvers.push(resolver);
+  return resolver;
+}
+
+BUILTIN_RESOLVERS.forEach((r) => registerResolver(r));
+
+function findResolver(url) {
+  const u = String(url || '').trim();
+  return resolvers.find((r) => r.patterns.some((p) => p.test(u))) || null;
+}
+
+function listResolvers() {
+  return resolvers.map((r) => ({ name: r.name, label: r.label || r.name, patterns: r.patterns.map(String), quality: r.quality }));
+}
+
+/**
+ * Resolve a source URL into an ffmpeg input with the first matching resolver. Called again
+ * on every reconnect since resolved URLs expire. `dryRun` skips opening download streams.
+ */
+async function resolveSource(url, { seekSeconds = 0, quality, dryRun = false } = {}) {
+  const u = String(url || '').trim();
+  const resolver = findResolver(u);
+  if (!resolver) throw new Error(`Unsupported source URL: ${u}`);
+  const result = await resolver.resolve(u, { seekSeconds, quality: quality || resolver.quality || DEFAULT_QUALITY, dryRun });
+  return { seekable: true, inputOptions: [], ...result, resolver: resolver.name };
+}
+
+module.exports = { registerResolver, findResolver, listResolvers, resolveSource, DEFAULT_QUALITY };
@@ -1,47 +1,29 @@
 const ffmpeg = require('../utils/ffmpeg');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const Video = require('../models/Video');
-const { insertStreamEvent, updateVideoProgress, syncVideo } = require('./supabase');
-const ytdl = require('ytdl-core');
-let ytdlp = null;
-try {
-  // Optional: yt-dlp fallback for robust URL resolution
-  ytdlp = require('yt-dlp-exec');
-} catch (_) {}
-if (!ytdlp) {
-  try { ytdlp = require('youtube-dl-exec'); } catch (_) {}
-}
-const { spawn } = require('child_process');
-
-async function resolveViaYtdlpBin(url) {
-  return new Promise((resolve) => {
-    try {
-      const args = ['-g', '-f', 'best[height<=1080]/best', url];
-      let bin = 'yt-dlp';
-      // Allow custom env override or local binary
-      const envBin = process.env.YTDLP_BIN || process.env.YT_DLP_BIN;
-      const localBin = path.resolve(__dirname, '../bin/yt-dlp.exe');
-      if (envBin && envBin.trim()) bin = envBin.trim();
-      else if (fs.existsSync(localBin)) bin = localBin;
-
-      const p = spawn(bin, args, { stdio: ['ignore', 'pipe', 'pipe'] });
-      let out = '';
-      p.stdout.on('data', (d) => { out += String(d || ''); });
-      p.on('close', (code) => {
-        if (code === 0) {
-          const u = out.trim().split(/\r?\n/)[0] || '';
-          resolve(u || null);
-        } else {
-          resolve(null);
-        }
-      });
-      p.on('error', () => resolve(null));
-    } catch (_) {
-      resolve(null);
-    }
-  });
-}
+const ExternalJob = require('../models/ExternalJob');
+const Playlist = require('../models/Playlist');
+const EncodingProfile = require('../models/EncodingProfile');
+const { MAX_STREAM_EVENTS } = require('../models/StreamEvent');
+const { insertStreamEvent, updateVideoProgress, syncVideo, syncPlaylist } = require('./supabase');
+const { EventEmitter } = require('events');
+const { resolveOutputs, applyOutputs, parseTeeFailure } = require('./destinations');
+const { scaledSize, buildEncodingOptions, lighterEncoding, applyEncoding, applyPassthrough, chooseStreamMode } = require('./encoding');
+const { FilterGraph, applyGraphInputs } = require('./filtergraph');
+const { plain, hasOverlays, loadOverlayAssets, compileOverlays } = require('./overlays');
+const { isEnabled: prerollEnabled, loadPrerollAssets, slateSeconds, compileSlate } = require('./preroll');
+const { isEnabled: fallbackEnabled, loadFallbackMedia, buildFillerCommand } = require('./fallback');
+const { isEnabled: loudnessEnabled, loudnormFilter, missingAnalysis, queueAnalysis } = require('./loudness');
+const { hasSubtitles, subtitleFilters } = require('./subtitles');
+const { isEnabled: musicBedEnabled, loadMusicBedAssets, compileMusicBed } = require('./musicbed');
+const { Relay } = require('./relay');
+const { openPreview } = require('./preview');
+const { EncoderTelemetry } = require('./telemetry');
+const { StreamLog, readStreamLog } = require('./streamlog');
+const { findResolver, resolveSource } = require('./resolvers');
+const { probeSource } = require('./probe');
 
 function parseTimemark(t) {
   try {
@@ -59,20 +41,685 @@ function parseTimemark(t) {
   }
 }
 
-function buildOutputUrl(rtmpUrl, streamKey) {
-  if (typeof rtmpUrl !== 'string' || !/^rtmps?:\/\//i.test(rtmpUrl)) {
-    throw new Error('Invalid RTMP URL');
+// Load the referenced encoding profile; falls back to the built-in default
+async function loadEncoding(profileId) {
+  let profile = null;
+  if (profileId) {
+    try {
+      profile = await EncodingProfile.findById(profileId).lean().exec();
+    } catch (_) {}
+    if (!profile) console.warn(`[Streamer] Encoding profile ${profileId} not found; using default`);
+  }
+  return buildEncodingOptions(profile);
+}
+
+// Longest a live source may stall before ffmpeg gives up on it and the retry path reconnects
+const LIVE_READ_TIMEOUT_US = 15_000_000;
+
+/**
+ * Input flags for a live source: no -re (the source sets the pace), regenerated timestamps,
+ * broken packets dropped and HTTP reconnects. The resolver's own flags win on overlap.
+ */
+function liveInputOptions(input, resolverOptions) {
+  const opts = ['-fflags', '+genpts+discardcorrupt', '-rw_timeout', String(LIVE_READ_TIMEOUT_US)];
+  if (typeof input === 'string' && /^https?:/i.test(input)) {
+    opts.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_on_network_error', '1', '-reconnect_delay_max', '10');
   }
-  if (typeof streamKey !== 'string' || streamKey.trim().length < 8) {
-    throw new Error('Invalid stream key');
+  const flags = new Map();
+  for (const list of [opts, resolverOptions]) {
+    for (let i = 0; i < list.length; i += 2) flags.set(list[i], list[i + 1]);
   }
-  return rtmpUrl.endsWith('/') ? `${rtmpUrl}${streamKey}` : `${rtmpUrl}/${streamKey}`;
+  return [...flags].flat();
+}
+
+// End of a run `maxDuration` minutes after `since`, or the caller's `cap` when that comes first; null without either
+function runDeadline(maxDuration, since, cap) {
+  const own = maxDuration > 0 ? new Date(new Date(since).getTime() + maxDuration * 60_000) : null;
+  const limit = cap ? new Date(cap) : null;
+  if (!own) return limit;
+  return limit && limit < own ? limit : own;
+}
+
+function deadlinePassed(deadline) {
+  return !!deadline && deadline.getTime() - Date.now() < 1000;
+}
+
+// Cap one ffmpeg run at the stream's deadline: it stops writing and exits cleanly when time is up
+function applyDeadline(command, deadline) {
+  if (!deadline) return command;
+  return command.outputOptions('-t', Math.max(1, (deadline.getTime() - Date.now()) / 1000).toFixed(3));
 }
 
-class Streamer {
+// Expected end of a run: what is left of its plays, capped by its deadline; undefined when open-ended
+function projectedEnd(entry, prerollUntil) {
+  let end;
+  const plays = entry.plays || 1;
+  if (entry.duration > 0 && Number.isFinite(plays)) {
+    const remaining = entry.duration * (plays - (entry.pass || 0)) - (entry.position || 0);
+    end = Math.max(Date.now(), prerollUntil) + Math.max(0, remaining) * 1000;
+  }
+  if (entry.deadline) end = end === undefined ? entry.deadline.getTime() : Math.min(end, entry.deadline.getTime());
+  return end === undefined ? undefined : new Date(end);
+}
+
+// Resolve a fallback config into what the filler needs at failure time
+async function prepareFallback(config) {
+  const retryMinutes = plain(config).retryMinutes || 10;
+  return { config, retryMs: retryMinutes * 60_000, media: await loadFallbackMedia(config) };
+}
+
+function snapshotOutputs(outputs) {
+  return outputs.map((o) => ({ label: o.label, url: o.url, status: o.status, errorMessage: o.errorMessage, updatedAt: o.updatedAt }));
+}
+
+// Reconnect policy for ffmpeg failures mid-stream
+const RETRY_MAX_ATTEMPTS = Number.isInteger(Number(process.env.STREAM_RETRY_MAX)) && process.env.STREAM_RETRY_MAX !== ''
+  ? Math.max(0, Number(process.env.STREAM_RETRY_MAX))
+  : 3;
+const RETRY_BASE_DELAY_MS = Number(process.env.STREAM_RETRY_DELAY_MS) || 2000;
+const RETRY_MAX_DELAY_MS = 30_000;
+// A run that stayed up this long resets the attempt counter
+const RETRY_STABLE_MS = 60_000;
+
+// Adaptive downgrade (opt-in): an encoder that stays below STREAM_ADAPTIVE_MIN_SPEED x realtime for the
+// whole window (STREAM_ADAPTIVE_WINDOW_SECONDS, off when unset or 0) is relaunched on lighter settings
+const ADAPTIVE_WINDOW_MS = Math.max(0, Number(process.env.STREAM_ADAPTIVE_WINDOW_SECONDS) || 0) * 1000;
+const ADAPTIVE_MIN_SPEED = Number(process.env.STREAM_ADAPTIVE_MIN_SPEED) || 0.95;
+
+function describeProfile(p) {
+  return `${p.width}x${p.height} ${p.preset} ${p.videoBitrate}k`;
+}
+
+function retryDelay(attempt) {
+  return Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+}
+
+// Slate text while a stream is paused, unless the pause request gives its own
+const HOLD_MESSAGE = "We'll be right back";
+
+// Why a stream's source cannot be changed right now (pause, swap); null when it can
+function busyReason(ctx, action) {
+  const entry = ctx.entry;
+  // Only a relay keeps the outputs connected while the source changes
+  if (!ctx.relay) return `Passthrough streams cannot ${action}; set the video's streamMode to transcode`;
+  if (entry.reconnecting || entry.retryTimer) return 'Stream is reconnecting; try again shortly';
+  if (entry.prerollUntil && new Date(entry.prerollUntil).getTime() > Date.now()) return `Cannot ${action} during the pre-roll`;
+  return null;
+}
+
+// Streams (and gapless playlist sessions) allowed on air at once
+const MAX_CONCURRENT_STREAMS = Math.max(1, Number(process.env.MAX_CONCURRENT_STREAMS) || 1);
+
+function isExternalId(id) {
+  return String(id).startsWith('url:');
+}
+
+const TMP_DIR = path.join(os.tmpdir(), 'ytschedule');
+
+// ffconcat list playing [start, end) of a file; lets -stream_loop repeat a trimmed segment
+function writeConcatList(id, filepath, start, end) {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const listPath = path.join(TMP_DIR, `${id}.ffconcat`);
+  const lines = ['ffconcat version 1.0', `file '${filepath.replace(/'/g, "'\\''")}'`];
+  if (start > 0) lines.push(`inpoint ${start}`);
+  if (end !== undefined) lines.push(`outpoint ${end}`);
+  fs.writeFileSync(listPath, `${lines.join('\n')}\n`);
+  return listPath;
+}
+
+// A run started within this many seconds of the end of the content (or past it) starts this far from the end
+const END_SEEK_MARGIN_SECONDS = 1;
+
+// Keep a seek inside the content, so -ss never lands on or after -to; the run then plays the tail and ends normally
+function clampSeek(trim, seekSeconds) {
+  const { duration } = trim;
+  if (!(duration > 0) || seekSeconds < duration - END_SEEK_MARGIN_SECONDS) return seekSeconds;
+  return Math.max(0, duration - END_SEEK_MARGIN_SECONDS);
+}
+
+function hasVideoFile(video) {
+  return !!video.filepath && fs.existsSync(path.resolve(video.filepath));
+}
+
+// Per-stream temp file (drawtext text, concat lists); removed when the context is released
+function writeTempFile(ctx, name, content) {
+  fs.mkdirSync(TMP_DIR, { recursive: true });
+  const file = path.join(TMP_DIR, `${ctx.id}-${name}`);
+  const existed = fs.existsSync(file);
+  fs.writeFileSync(file, content);
+  // Relaunches rewrite the same files; register each removal once
+  if (!existed) ctx.cleanups.push(() => fs.unlinkSync(file));
+  return file;
+}
+
+// Run a context's cleanup callbacks once (listeners, temp files)
+function releaseContext(ctx) {
+  const fns = ctx.cleanups || [];
+  ctx.cleanups = [];
+  for (const fn of fns) {
+    try { fn(); } catch (_) {}
+  }
+}
+
+class Streamer extends EventEmitter {
   constructor() {
-    this.activeStreams = new Map(); // videoId -> { command, startedAt, progress, lastUpdateMs, stopped, outputUrl }
+    super();
+    this.activeStreams = new Map(); // id -> { command, startedAt, progress, position, lastUpdateMs, stopped, outputUrl, outputs, attempts, reconnecting }
     this.lastStreamErrors = new Map(); // id -> last error message
+    this.playlistSessions = new Map(); // playlistId -> { relay, outputs, encoding, index, ctx, stopped }
+    this.slots = new Map(); // stream id or playlist:<id> -> Set of output URLs it holds
+  }
+
+  /**
+   * Take a capacity slot and lock the outputs for a stream or gapless session; returns the
+   * release function. Throws with err.code DESTINATION_BUSY when another stream already
+   * sends to one of the outputs, or CAPACITY when MAX_CONCURRENT_STREAMS are running.
+   */
+  claimSlot(slotId, outputs) {
+    if (this.slots.has(slotId)) throw new Error(`Stream already active for ${slotId}`);
+    for (const [owner, urls] of this.slots) {
+      const taken = outputs.find((o) => urls.has(o.url));
+      if (taken) {
+        const err = new Error(`Destination "${taken.label}" is already active in stream ${owner}`);
+        err.code = 'DESTINATION_BUSY';
+        throw err;
+      }
+    }
+    if (this.slots.size >= MAX_CONCURRENT_STREAMS) {
+      const err = new Error(`Stream capacity reached (${MAX_CONCURRENT_STREAMS} running)`);
+      err.code = 'CAPACITY';
+      throw err;
+    }
+    const urls = new Set(outputs.map((o) => o.url));
+    this.slots.set(slotId, urls);
+    return () => {
+      if (this.slots.get(slotId) === urls) this.slots.delete(slotId);
+    };
+  }
+
+  capacity() {
+    return { max: MAX_CONCURRENT_STREAMS, used: this.slots.size, available: Math.max(0, MAX_CONCURRENT_STREAMS - this.slots.size) };
+  }
+
+  // Update per-destination state; emits 'outputs' (id, outputs) so owners can persist it
+  setOutputStatus(id, entry, index, status, errorMessage) {
+    const out = entry && entry.outputs && entry.outputs[index];
+    if (!out || out.status === status) return;
+    out.status = status;
+    out.errorMessage = errorMessage;
+    out.updatedAt = new Date();
+    this.emit('outputs', id, snapshotOutputs(entry.outputs));
+  }
+
+  // Mark every destination still alive with the given terminal status
+  finishOutputs(id, entry, status, errorMessage) {
+    if (!entry || !Array.isArray(entry.outputs)) return;
+    const now = new Date();
+    for (const o of entry.outputs) {
+      if (o.status === 'failed') continue;
+      o.status = status;
+      if (errorMessage) o.errorMessage = errorMessage;
+      o.updatedAt = now;
+    }
+    this.emit('outputs', id, snapshotOutputs(entry.outputs));
+  }
+
+  // Returns the failed destination when the line reports a tee slave failure
+  handleTeeLine(id, entry, line) {
+    const failure = parseTeeFailure(line);
+    const out = failure && entry && entry.outputs && entry.outputs[failure.index];
+    if (!out) return null;
+    console.warn(`[Streamer][${id}] Destination ${out.label} failed: ${failure.message}`);
+    this.setOutputStatus(id, entry, failure.index, 'failed', failure.message);
+    return out;
+  }
+
+  /**
+   * Record a stream event in Supabase and on the owning Video/ExternalJob
+   * (capped history). Never throws.
+   */
+  async recordEvent(id, type, payload = {}) {
+    try { await insertStreamEvent(id, type, payload); } catch (_) {}
+    try {
+      const event = { type, at: new Date(), position: payload.position, duration: payload.duration, message: payload.message };
+      const update = { $push: { streamEvents: { $each: [event], $slice: -MAX_STREAM_EVENTS } } };
+      if (isExternalId(id)) {
+        await ExternalJob.updateOne({ streamId: id }, update).exec();
+      } else {
+        await Video.updateOne({ _id: id }, update).exec();
+      }
+    } catch (_) {}
+  }
+
+  /**
+   * After a mid-stream failure, schedule a relaunch at the last known position.
+   * With a fallback the output stays up on filler and retries continue for the
+   * fallback's retry window; otherwise the attempt budget applies. Returns false
+   * once retries are exhausted.
+   */
+  scheduleRetry(ctx, err) {
+    const entry = ctx.entry;
+    if (!entry || entry.stopped) return false;
+    // Past maxDuration there is nothing left to retry
+    if (deadlinePassed(ctx.deadline)) return false;
+    if (Date.now() - (entry.runStartedMs || 0) > RETRY_STABLE_MS) {
+      entry.attempts = 0;
+      entry.fallbackSince = null;
+    }
+    const { fallback } = ctx;
+    if (fallback) {
+      if (!entry.fallbackSince) entry.fallbackSince = Date.now();
+      if (Date.now() - entry.fallbackSince > fallback.retryMs) return false;
+    } else if (entry.attempts >= RETRY_MAX_ATTEMPTS) {
+      return false;
+    }
+
+    entry.attempts += 1;
+    entry.reconnecting = true;
+    const delay = retryDelay(entry.attempts);
+    const position = entry.position || 0;
+    const budget = fallback ? `${entry.attempts} (on filler)` : `${entry.attempts}/${RETRY_MAX_ATTEMPTS}`;
+    const message = `Reconnect ${budget} in ${delay}ms from ${Math.floor(position)}s: ${err.message}`;
+    console.warn(`[Streamer][${ctx.id}] ${message}`);
+    this.lastStreamErrors.set(ctx.id, err.message);
+    this.recordEvent(ctx.id, 'reconnect', { progress: entry.progress, position, message, outputUrl: entry.outputUrl });
+    if (fallback) this.startFiller(ctx);
+
+    entry.retryTimer = setTimeout(() => {
+      entry.retryTimer = null;
+      if (entry.stopped) return;
+      ctx.launch(position).catch((launchErr) => {
+        // Failed before ffmpeg spawned (e.g. the source URL did not resolve)
+        console.error(`[Streamer] Relaunch failed for ${ctx.id}: ${launchErr.message}`);
+        if (entry.stopped || this.scheduleRetry(ctx, launchErr)) return;
+        ctx.fail(launchErr);
+      });
+    }, delay);
+    return true;
+  }
+
+  /**
+   * Called on each encoder reading: when the encoder has been slower than realtime for the
+   * adaptive window, relaunch at the current position one step lighter (see lighterEncoding).
+   * Relay feeds keep their frame size, so they only get a faster preset.
+   */
+  adaptEncoding(ctx) {
+    const entry = ctx.entry;
+    if (!ADAPTIVE_WINDOW_MS || !entry || entry.mode !== 'transcode' || entry.stopped || entry.reconnecting || entry.retryTimer) return;
+    const speed = entry.telemetry.recentSpeed(ADAPTIVE_WINDOW_MS);
+    if (speed === undefined || speed >= ADAPTIVE_MIN_SPEED) return;
+    const from = ctx.encoding.profile;
+    const lighter = lighterEncoding(ctx.encoding, { keepSize: !!ctx.relay });
+    if (!lighter) {
+      if (!entry.adaptiveExhausted) console.warn(`[Streamer][${ctx.id}] Encoder at ${speed}x realtime with no lighter settings left`);
+      entry.adaptiveExhausted = true;
+      return;
+    }
+    ctx.encoding = lighter;
+    // Later items of a gapless session start on the lighter settings too
+    if (ctx.session) ctx.session.encoding = lighter;
+    const position = entry.position || 0;
+    const level = ((entry.downgrade && entry.downgrade.level) || 0) + 1;
+    entry.downgrade = { level, at: new Date(), speed, from: describeProfile(from), to: describeProfile(lighter.profile) };
+    entry.profile = lighter.profile.name;
+    const message = `Encoder at ${speed}x realtime for ${ADAPTIVE_WINDOW_MS / 1000}s; restarting from ${Math.floor(position)}s at ${entry.downgrade.to} (was ${entry.downgrade.from})`;
+    console.warn(`[Streamer][${ctx.id}] ${message}`);
+    ctx.log.push(message, 'streamer');
+    this.recordEvent(ctx.id, 'downgrade', { position, message });
+
+    // Detach first so the killed run's exit is ignored
+    const cmd = entry.command;
+    entry.command = null;
+    entry.reconnecting = true;
+    try { if (cmd) cmd.kill('SIGKILL'); } catch (_) {}
+    ctx.launch(position).catch((err) => {
+      console.error(`[Streamer] Relaunch after downgrade failed for ${ctx.id}: ${err.message}`);
+      if (entry.stopped || this.scheduleRetry(ctx, err)) return;
+      ctx.fail(err);
+    });
+  }
+
+  // Route a relay's output-side events to the context currently feeding it
+  watchRelay(relay, currentCtx) {
+    relay.on('stderr', (line) => {
+      const ctx = currentCtx();
+      if (ctx) ctx.log.push(line, 'relay');
+      if (ctx && line && /Error|Invalid|failed/i.test(line)) {
+        console.warn(`[Streamer][${ctx.id}] relay: ${line.trim()}`);
+        this.handleTeeLine(ctx.id, ctx.entry, line);
+      }
+    });
+    const onFailure = (err) => {
+      const ctx = currentCtx();
+      // Between sources: the next launch restarts the relay
+      if (!ctx) return console.warn(`[Relay][${relay.id}] Output failed: ${err.message}`);
+      this.handleRelayError(ctx, err);
+    };
+    relay.on('error', onFailure);
+    // A clean exit nobody asked for (e.g. the ingest closed the session) is a failure too
+    relay.on('end', () => {
+      if (!relay.stopping) onFailure(new Error('Relay output exited'));
+    });
+  }
+
+  // Start the context's monitor (HLS preview, snapshots) when either is on; removed with the context
+  async attachPreview(ctx) {
+    ctx.preview = await openPreview(ctx.id);
+    if (ctx.preview) ctx.cleanups.push(() => ctx.preview.stop());
+  }
+
+  // Create and start the relay for a context; its output-side failures go through the retry path
+  async openRelay(ctx) {
+    const relay = new Relay(ctx.id, ctx.outputs, { preview: ctx.preview });
+    ctx.relay = relay;
+    this.watchRelay(relay, () => ctx);
+    ctx.cleanups.push(() => {
+      this.stopFiller(ctx);
+      relay.stop();
+    });
+    await relay.start();
+  }
+
+  // The output process died (ingest dropped): drop the current source and restart both via the retry path
+  handleRelayError(ctx, err) {
+    const entry = ctx.entry;
+    console.error(`[Streamer] Relay output failed for ${ctx.id}: ${err.message}`);
+    if (!entry || entry.stopped) return;
+    // Paused: the content stays where it is; bring the output back on the hold slate
+    if (entry.paused) {
+      this.stopHold(ctx);
+      setTimeout(() => this.restartHold(ctx), retryDelay(1)).unref();
+      return;
+    }
+    const cmd = entry.command;
+    // Detach first so the killed source's exit is ignored
+    entry.command = null;
+    try { if (cmd) cmd.kill('SIGKILL'); } catch (_) {}
+    this.stopFiller(ctx);
+    if (entry.retryTimer) return;
+    if (!this.scheduleRetry(ctx, err)) ctx.fail(err);
+  }
+
+  // Feed the fallback filler into the relay while the primary source is down
+  async startFiller(ctx) {
+    if (!ctx.fallback || !ctx.relay || ctx.filler) return;
+    const entry = ctx.entry;
+    try {
+      await ctx.relay.start();
+      if (ctx.filler || !entry || entry.stopped) return;
+      const command = ctx.relay.attach(buildFillerCommand(ctx.fallback.config, {
+        encoding: ctx.encoding,
+        ...ctx.fallback.media,
+        writeTemp: (name, content) => writeTempFile(ctx, name, content),
+      }));
+      ctx.filler = command;
+      const done = (err) => {
+        if (ctx.filler !== command) return;
+        ctx.filler = null;
+        entry.fallbackActive = false;
+        if (err) console.warn(`[Streamer][${ctx.id}] Filler stopped: ${err.message}`);
+      };
+      command
+        .on('start', () => {
+          if (ctx.filler !== command) return;
+          entry.fallbackActive = true;
+          console.log(`[Streamer][${ctx.id}] Filler on air while the source is retried`);
+          this.recordEvent(ctx.id, 'fallback', { position: entry.position, message: 'Switched to fallback filler' });
+        })
+        .on('stderr', (line) => ctx.log.push(line, 'filler'))
+        .on('end', () => done())
+        .on('error', (err) => done(err));
+      command.run();
+    } catch (err) {
+      ctx.filler = null;
+      console.warn(`[Streamer][${ctx.id}] Failed to start filler: ${err.message}`);
+    }
+  }
+
+  stopFiller(ctx) {
+    const cmd = ctx.filler;
+    if (!cmd) return false;
+    ctx.filler = null;
+    if (ctx.entry) ctx.entry.fallbackActive = false;
+    try { cmd.kill('SIGKILL'); } catch (_) {}
+    return true;
+  }
+
+  // Relaunched source is producing frames: take the filler off air (only one process may write to the feed)
+  resumeFromFiller(ctx) {
+    if (!this.stopFiller(ctx)) return;
+    this.recordEvent(ctx.id, 'recovered', { position: ctx.entry && ctx.entry.position, message: 'Primary source restored' });
+  }
+
+  /**
+   * Put a stream on hold: the content stops at its current position and a slate with
+   * `message` (styled like the stream's fallback slate) is fed to the outputs through
+   * the stream's relay until resumeContext. Passthrough streams have no relay and
+   * cannot be paused.
+   */
+  async pauseContext(ctx, { message } = {}) {
+    const entry = ctx.entry;
+    const check = () => {
+      if (entry.stopped) throw new Error('Stream stopped');
+      if (entry.paused) throw new Error('Stream is already paused');
+      const busy = busyReason(ctx, 'pause');
+      if (busy) throw new Error(busy);
+    };
+    check();
+    const position = entry.position || 0;
+    entry.paused = { since: new Date(), position, message: message || HOLD_MESSAGE };
+    // Detach first so the content's exit is ignored
+    const cmd = entry.command;
+    entry.command = null;
+    try { if (cmd) cmd.kill('SIGKILL'); } catch (_) {}
+    if (!ctx.holdCleanup) {
+      ctx.holdCleanup = true;
+      ctx.cleanups.push(() => this.stopHold(ctx));
+    }
+    try {
+      await this.startHold(ctx);
+    } catch (err) {
+      // Nothing on air: go back to the content through the retry path
+      entry.paused = null;
+      if (!this.scheduleRetry(ctx, err)) ctx.fail(err);
+      throw err;
+    }
+    const text = `Paused at ${Math.floor(position)}s`;
+    console.log(`[Streamer][${ctx.id}] ${text}`);
+    ctx.log.push(text, 'streamer');
+    this.recordEvent(ctx.id, 'paused', { position, message: text });
+    return entry.paused;
+  }
+
+  // Take the hold slate off air and relaunch the content where it was paused
+  async resumeContext(ctx) {
+    const entry = ctx.entry;
+    const paused = entry.paused;
+    if (!paused) throw new Error('Stream is not paused');
+    const seconds = Math.round((Date.now() - paused.since.getTime()) / 1000);
+    entry.paused = null;
+    entry.pausedSeconds = (entry.pausedSeconds || 0) + seconds;
+    this.stopHold(ctx);
+    const text = `Resumed at ${Math.floor(paused.position)}s after ${seconds}s paused`;
+    console.log(`[Streamer][${ctx.id}] ${text}`);
+    ctx.log.push(text, 'streamer');
+    this.recordEvent(ctx.id, 'unpaused', { position: paused.position, duration: seconds, message: text });
+    try {
+      await ctx.launch(paused.position);
+    } catch (err) {
+      console.error(`[Streamer] Relaunch after pause failed for ${ctx.id}: ${err.message}`);
+      if (!entry.stopped && !this.scheduleRetry(ctx, err)) ctx.fail(err);
+    }
+    return { position: paused.position, seconds };
+  }
+
+  // Feed the hold slate into the relay; it ends by itself at the stream's deadline
+  async startHold(ctx) {
+    const entry = ctx.entry;
+    if (!entry || !entry.paused || entry.stopped || ctx.hold) return;
+    await ctx.relay.start();
+    if (!entry.paused || entry.stopped || ctx.hold) return;
+    const f = ctx.fallback ? plain(ctx.fallback.config) : {};
+    // Always the slate: no filler video is passed
+    const slate = { ...f, message: entry.paused.message };
+    const command = ctx.relay.attach(applyDeadline(buildFillerCommand(slate, {
+      encoding: ctx.encoding,
+      assets: ctx.fallback ? ctx.fallback.media.assets : undefined,
+      writeTemp: (name, content) => writeTempFile(ctx, `hold-${name}`, content),
+    }), ctx.deadline));
+    ctx.hold = command;
+    command
+      .on('start', () => {
+        if (ctx.hold === command) console.log(`[Streamer][${ctx.id}] Hold slate on air`);
+      })
+      .on('stderr', (line) => ctx.log.push(line, 'hold'))
+      .on('end', () => {
+        if (ctx.hold !== command) return;
+        ctx.hold = null;
+        // The slate only ends at the deadline: maxDuration reached while paused ends the stream
+        if (!entry.paused || entry.stopped) return;
+        entry.pausedSeconds = (entry.pausedSeconds || 0) + Math.round((Date.now() - entry.paused.since.getTime()) / 1000);
+        entry.paused = null;
+        Promise.resolve(ctx.finish()).catch((err) => console.error(`[Streamer] Finishing ${ctx.id} on hold failed: ${err.message}`));
+      })
+      .on('error', (err) => {
+        if (ctx.hold !== command) return;
+        ctx.hold = null;
+        console.warn(`[Streamer][${ctx.id}] Hold slate stopped: ${err.message}`);
+        if (entry.paused && !entry.stopped) setTimeout(() => this.restartHold(ctx), retryDelay(1)).unref();
+      });
+    command.run();
+  }
+
+  // The slate is best-effort once paused: failures are logged and left for the next relay or slate exit
+  restartHold(ctx) {
+    this.startHold(ctx).catch((err) => console.warn(`[Streamer][${ctx.id}] Failed to restart hold slate: ${err.message}`));
+  }
+
+  stopHold(ctx) {
+    const cmd = ctx.hold;
+    if (!cmd) return;
+    ctx.hold = null;
+    try { cmd.kill('SIGKILL'); } catch (_) {}
+  }
+
+  /**
+   * Replace what a stream plays, in place: `source` is { video } (a Video document) or
+   * { url, live } (see utils/resolvers). The current run is cut and the new source starts
+   * from its top on the stream's relay, so the outputs stay connected. Passthrough
+   * streams have no relay and cannot swap.
+   * The stream keeps its id, destinations, overlays and deadline; progress follows the
+   * new source. The swap is recorded on the stream and on the videos swapped in and out.
+   */
+  async swapContext(ctx, source) {
+    const entry = ctx.entry;
+    const check = () => {
+      if (entry.stopped) throw new Error('Stream stopped');
+      if (entry.paused) throw new Error('Stream is paused; resume it before swapping the source');
+      const busy = busyReason(ctx, 'swap the source');
+      if (busy) throw new Error(busy);
+    };
+    // A URL that does not resolve fails here, before anything is cut
+    let media;
+    if (source.url && !isExternalId(ctx.id) && (ctx.loudness || ctx.musicBed)) {
+      // Audio filters need to know whether the URL has an audio track
+      media = await probeSource((await resolveSource(source.url)).input);
+      if (!media) throw new Error(`Could not read the streams of ${source.url}`);
+    } else if (source.url) {
+      await resolveSource(source.url, { dryRun: true });
+    }
+    check();
+
+    const position = entry.position || 0;
+    const previous = ctx.content && ctx.content !== ctx.video && ctx.content._id ? ctx.content : null;
+    // Detach first so the cut run's exit is ignored
+    const cmd = entry.command;
+    entry.command = null;
+    entry.reconnecting = true;
+    try { if (cmd) cmd.kill('SIGKILL'); } catch (_) {}
+
+    if (isExternalId(ctx.id)) {
+      // Library videos play through the local-file resolver, whole file
+      ctx.url = source.video ? path.resolve(source.video.filepath) : source.url;
+      ctx.content = source.video || null;
+      ctx.live = !!(source.url && source.live);
+      ctx.plays = 1;
+      entry.sourceUrl = ctx.url;
+      entry.live = ctx.live;
+    } else {
+      this.setVideoContent(ctx, { ...source, media });
+      entry.duration = ctx.trim.duration;
+      entry.loop = ctx.shouldLoop;
+      entry.live = !!ctx.content.live;
+    }
+    Object.assign(entry, { plays: ctx.plays, pass: 0, passBase: 0, position: 0, progress: 0 });
+    entry.source = source.video
+      ? { type: 'video', videoId: String(source.video._id), title: source.video.title, since: new Date() }
+      : { type: 'url', url: source.url, live: !!source.live, since: new Date() };
+
+    const label = source.video ? `video ${source.video._id} (${source.video.title})` : source.url;
+    const message = `Source swapped to ${label} at ${Math.floor(position)}s`;
+    console.log(`[Streamer][${ctx.id}] ${message}`);
+    ctx.log.push(message, 'streamer');
+    this.recordEvent(ctx.id, 'swap', { position, message });
+    if (previous) this.recordEvent(String(previous._id), 'swap', { position, message: `Swapped out of stream ${ctx.id} for ${label}` });
+    if (source.video) this.recordEvent(String(source.video._id), 'swap', { position: 0, message: `Swapped into stream ${ctx.id}` });
+
+    try {
+      await ctx.launch(0);
+    } catch (err) {
+      console.error(`[Streamer] Launch after source swap failed for ${ctx.id}: ${err.message}`);
+      if (!entry.stopped && !this.scheduleRetry(ctx, err)) ctx.fail(err);
+      throw err;
+    }
+    return entry.source;
+  }
+
+  // Point a video stream's context at new content: another video (its own trim, captions and loop) or a URL
+  setVideoContent(ctx, { video, url, live, media }) {
+    if (ctx.concatList) {
+      try { fs.unlinkSync(ctx.concatList); } catch (_) {}
+      ctx.concatList = null;
+    }
+    ctx.preroll = null;
+    if (video) {
+      ctx.content = video;
+      ctx.trim = video.getTrimWindow();
+      ctx.subtitles = hasSubtitles(video) ? video.subtitles : null;
+      // Playlist items play once; the playlist does the looping
+      ctx.plays = ctx.video.playlistId ? 1 : video.getPlayCount();
+    } else {
+      ctx.content = { sourceUrl: url, live: !!live, media };
+      ctx.trim = { start: 0 };
+      ctx.subtitles = null;
+      ctx.plays = 1;
+    }
+    ctx.shouldLoop = ctx.plays > 1;
+    if (ctx.shouldLoop && (ctx.trim.start > 0 || ctx.trim.end !== undefined)) {
+      const list = writeConcatList(ctx.id, path.resolve(video.filepath), ctx.trim.start, ctx.trim.end);
+      ctx.concatList = list;
+      ctx.cleanups.push(() => fs.unlinkSync(list));
+    }
+  }
+
+  // Pause or resume an active video or external stream (see pauseContext)
+  async pauseStream(id, opts) {
+    const entry = this.activeStreams.get(String(id));
+    if (!entry || entry.stopped) throw new Error('No active stream process');
+    return entry.pause(opts);
+  }
+
+  async resumeStream(id) {
+    const entry = this.activeStreams.get(String(id));
+    if (!entry || entry.stopped) throw new Error('No active stream process');
+    return entry.resume();
+  }
+
+  // Replace the source of an active video or external stream (see swapContext)
+  async swapSource(id, source) {
+    const entry = this.activeStreams.get(String(id));
+    if (!entry || entry.stopped) throw new Error('No active stream process');
+    return entry.swap(source);
   }
 
   getAllActiveStreams() {
@@ -80,108 +727,144 @@ class Streamer {
   }
 
   /**
-   * Start an external stream directly from a source URL (YouTube supported).
-   * Returns a streamId that can be used to query or stop the stream.
+   * Start an external stream directly from a source URL (see utils/resolvers).
+   * With `live`, a live HLS/RTMP/SRT source is relayed as it arrives and rejoined
+   * whenever it drops, until stopped. Otherwise `loopCount` plays the source that many
+   * times. `maxDuration` (minutes, counted from `startedAt` for a resumed run) caps the
+   * run. Returns a streamId to query or stop the stream.
+   * Emits 'ended' (streamId, { status, error }) once the stream is over for good.
    */
   async startUrlStream(sourceUrl, opts = {}) {
     const url = String(sourceUrl || '').trim();
     if (!url) throw new Error('sourceUrl is required');
+    if (!findResolver(url)) throw new Error(`Unsupported source URL: ${url}`);
 
     const useRtmpUrl = opts.rtmpUrl;
     const useStreamKey = opts.streamKey;
-    const outputUrl = buildOutputUrl(useRtmpUrl, useStreamKey);
-
-    // Basic YouTube URL detection; fall back to letting ffmpeg fetch http(s) URLs directly
-    const isYouTube = /youtube\.com\/watch\?v=|youtu\.be\//i.test(url);
-
-    let inputStreamOrUrl = url;
-    let useInputFormat = undefined;
-    if (isYouTube) {
-      // Try to resolve a direct media URL via yt-dlp first (most robust)
-      let directUrl = null;
-      if (ytdlp) {
-        try {
-          const out = await ytdlp(url, { getUrl: true, format: 'best[height<=1080]/best', noWarnings: true, noCheckCertificates: true, quiet: true });
-          directUrl = Array.isArray(out) ? (out[0] || '').trim() : String(out || '').trim();
-        } catch (err) {
-          console.warn(`[Streamer] yt-dlp resolve failed: ${err.message}`);
-        }
-      }
-      if (!directUrl) {
-        try {
-          directUrl = await resolveViaYtdlpBin(url);
-        } catch (_) {}
-      }
-
-      if (directUrl) {
-        inputStreamOrUrl = directUrl;
-        useInputFormat = undefined; // ffmpeg will auto-detect container
-      } else {
-        // Fallback to ytdl-core stream
-        try {
-          inputStreamOrUrl = ytdl(url, { quality: 'highest', filter: 'audioandvideo', highWaterMark: 1 << 25 });
-          useInputFormat = undefined; // do not force container
-        } catch (err) {
-          throw new Error(`Failed to initialize YouTube download: ${err.message}`);
-        }
-      }
-    }
-
-    const inputOpts = ['-re', '-thread_queue_size', '4096', '-user_agent', 'Mozilla/5.0'];
-    const outputOpts = [
-      '-preset veryfast',
-      '-maxrate 3000k',
-      '-bufsize 6000k',
-      '-g 60',
-      '-pix_fmt yuv420p',
-      '-vf scale=1920:-2:force_original_aspect_ratio=decrease',
-    ];
+    const outputs = resolveOutputs({ rtmpUrl: useRtmpUrl, streamKey: useStreamKey }, opts.destinations);
+    const encoding = await loadEncoding(opts.profileId);
+    const fallback = fallbackEnabled(opts.fallback) ? await prepareFallback(opts.fallback) : null;
+    const deadline = runDeadline(opts.maxDuration, opts.startedAt || Date.now());
+    if (deadlinePassed(deadline)) throw new Error('Maximum duration already reached');
+    // A live source has no end to repeat from
+    const plays = opts.live ? 1 : Math.max(1, Math.floor(Number(opts.loopCount)) || 1);
 
     // Generate an external stream id
     const streamId = `url:${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const ctx = { id: streamId, url, live: !!opts.live, plays, deadline, outputs, outputUrl: outputs[0].url, encoding, fallback, entry: null, cleanups: [] };
+    ctx.cleanups.push(this.claimSlot(streamId, outputs));
+    ctx.log = new StreamLog(streamId, { secrets: outputs.map((o) => o.streamKey) });
+    // Kept on disk for post-mortems once the stream is over
+    ctx.cleanups.push(() => ctx.log.persist());
+    ctx.launch = async (seekSeconds) => {
+      if (ctx.relay) await ctx.relay.start();
+      return this.launchExternal(ctx, seekSeconds);
+    };
+    ctx.finish = () => this.finishExternal(ctx);
+    ctx.fail = (err) => this.failExternal(ctx, err);
+    try {
+      await this.attachPreview(ctx);
+      // The outputs go through a relay from the start so a swap, pause or filler never reconnects them
+      await this.openRelay(ctx);
+      const command = await ctx.launch(0);
+      return { streamId, command };
+    } catch (err) {
+      releaseContext(ctx);
+      throw err;
+    }
+  }
 
-    const command = (typeof inputStreamOrUrl === 'string' ? ffmpeg(inputStreamOrUrl) : ffmpeg(inputStreamOrUrl))
-      .inputOptions(inputOpts)
-      .outputOptions(outputOpts)
-      .videoCodec('libx264')
-      .audioCodec('aac')
-      .audioBitrate('128k')
-      .format('flv')
-      .output(outputUrl);
+  async launchExternal(ctx, seekSeconds) {
+    const { id: streamId, url, outputs, outputUrl, encoding } = ctx;
+    // Resolved again on every relaunch since resolved URLs expire; live sources rejoin at the live edge
+    const { input, seekable, inputOptions } = await resolveSource(url, { seekSeconds: ctx.live ? 0 : seekSeconds });
+    // Stopped while the source was resolving
+    if (ctx.entry && ctx.entry.stopped) throw new Error('Stream stopped');
+
+    let inputOpts;
+    if (ctx.live) {
+      inputOpts = ['-thread_queue_size', '4096', ...liveInputOptions(input, inputOptions)];
+    } else {
+      inputOpts = ['-re', '-thread_queue_size', '4096', ...inputOptions];
+      if (seekSeconds > 0 && seekable) inputOpts.push('-ss', seekSeconds.toFixed(3));
+    }
 
     // Avoid forcing inputFormat; ffmpeg will detect stream container
+    const source = ffmpeg(input).inputOptions(inputOpts);
+    let command;
+    if (ctx.relay) {
+      // Every relay feed must have the same frame size
+      const graph = new FilterGraph();
+      graph.video(encoding.scaleFilter, encoding.padFilter);
+      command = ctx.relay.attach(applyDeadline(applyEncoding(source, encoding, graph), ctx.deadline));
+    } else {
+      command = applyOutputs(applyDeadline(applyEncoding(source, encoding), ctx.deadline), outputs, { preview: ctx.preview && ctx.preview.feedUrl });
+    }
+    // Relaunches take over the existing entry right away so their failures are retried too
+    if (ctx.entry) ctx.entry.command = command;
 
     return new Promise((resolve, reject) => {
+      let started = false;
       command
         .on('start', async (cmdLine) => {
           try {
+            started = true;
             console.log(`[Streamer] FFmpeg started for external ${streamId}: ${cmdLine}`);
-            this.lastStreamErrors.delete(streamId);
-            const entry = {
-              command,
-              startedAt: new Date(),
-              progress: 0,
-              lastUpdateMs: Date.now(),
-              stopped: false,
-              outputUrl,
-              external: true,
-              sourceUrl: url,
-            };
-            this.activeStreams.set(streamId, entry);
-            resolve({ streamId, command });
+            ctx.log.push(cmdLine, 'command');
+            let entry = ctx.entry;
+            if (entry) {
+              entry.reconnecting = false;
+            } else {
+              this.lastStreamErrors.delete(streamId);
+              entry = {
+                command,
+                startedAt: new Date(),
+                progress: 0,
+                position: 0,
+                lastUpdateMs: Date.now(),
+                stopped: false,
+                outputUrl,
+                outputs,
+                mode: 'transcode',
+                profile: encoding.profile.name,
+                external: true,
+                live: ctx.live,
+                sourceUrl: url,
+                plays: ctx.plays,
+                pass: 0,
+                deadline: ctx.deadline,
+                attempts: 0,
+                reconnecting: false,
+                telemetry: new EncoderTelemetry(),
+                log: ctx.log,
+                preview: ctx.preview,
+                pause: (opts) => this.pauseContext(ctx, opts),
+                resume: () => this.resumeContext(ctx),
+                swap: (source) => this.swapContext(ctx, source),
+                release: () => releaseContext(ctx),
+              };
+              ctx.entry = entry;
+              this.activeStreams.set(streamId, entry);
+            }
+            entry.seekBase = seekSeconds;
+            entry.runStartedMs = Date.now();
+            outputs.forEach((_, i) => this.setOutputStatus(streamId, entry, i, 'active'));
+            resolve(command);
           } catch (err) {
             reject(err);
           }
         })
         .on('progress', async (progress) => {
           try {
-            const entry = this.activeStreams.get(streamId);
-            if (!entry) return;
+            const entry = ctx.entry;
+            if (!entry || entry.command !== command) return;
+            this.resumeFromFiller(ctx);
             const now = Date.now();
-            const seconds = parseTimemark(progress.timemark);
+            const position = (entry.seekBase || 0) + parseTimemark(progress.timemark);
+            entry.position = position;
             // Just store seconds observed as numeric progress for external streams
-            if (seconds !== entry.progress || now - (entry.lastUpdateMs || 0) > 1000) {
-              entry.progress = seconds;
+            if (position !== entry.progress || now - (entry.lastUpdateMs || 0) > 1000) {
+              entry.progress = position;
               entry.lastUpdateMs = now;
             }
           } catch (err) {
@@ -189,23 +872,36 @@ class Streamer {
           }
         })
         .on('stderr', (line) => {
+          const entry = ctx.entry;
+          if (entry && entry.command === command && entry.telemetry.update(line)) return this.adaptEncoding(ctx);
+          ctx.log.push(line);
           if (line && /Error|Invalid|failed/i.test(line)) {
             console.warn(`[Streamer][${streamId}] ffmpeg: ${line.trim()}`);
+            this.handleTeeLine(streamId, ctx.entry, line);
           }
         })
         .on('end', async () => {
           try {
-            this.activeStreams.delete(streamId);
-            console.log(`[Streamer] External stream finished (${streamId}).`);
+            const entry = ctx.entry;
+            if (!entry || entry.command !== command) return;
+            // A live source that goes quiet may come back; it only ends once reconnects run out
+            if (ctx.live && !entry.stopped && this.scheduleRetry(ctx, new Error('Live source ended'))) return;
+            if (!entry.stopped && entry.pass + 1 < ctx.plays && !deadlinePassed(ctx.deadline)) return this.replayExternal(ctx);
+            ctx.finish();
           } catch (err) {
             console.error(`[Streamer] External end handler error for ${streamId}: ${err.message}`);
           }
         })
         .on('error', async (err, _stdout, _stderr) => {
+          ctx.log.push(`ffmpeg exited: ${String(err.message).split('\n')[0]}`, 'streamer');
           try {
+            const entry = ctx.entry;
+            if (!started && !entry) return reject(err);
+            // Superseded run, or stopped on purpose: nothing left to do
+            if (!entry || entry.command !== command || entry.stopped) return;
             console.error(`[Streamer] FFmpeg error for external ${streamId}: ${err.message}`);
-            this.lastStreamErrors.set(streamId, err && err.message ? err.message : 'Unknown streaming error');
-            this.activeStreams.delete(streamId);
+            if (this.scheduleRetry(ctx, err)) return;
+            ctx.fail(err);
           } catch (_) {}
         });
 
@@ -218,18 +914,65 @@ class Streamer {
     });
   }
 
+  // An external source played to its end with plays left (loopCount): open it again from the top
+  replayExternal(ctx) {
+    const entry = ctx.entry;
+    entry.pass += 1;
+    entry.position = 0;
+    entry.reconnecting = true;
+    const message = `Play ${entry.pass + 1}/${ctx.plays}`;
+    console.log(`[Streamer][${ctx.id}] ${message}`);
+    this.recordEvent(ctx.id, 'loop', { position: 0, message });
+    ctx.launch(0).catch((err) => {
+      console.error(`[Streamer] Replay failed for ${ctx.id}: ${err.message}`);
+      if (entry.stopped || this.scheduleRetry(ctx, err)) return;
+      ctx.fail(err);
+    });
+  }
+
+  // The external stream is over: its source ended for good or maxDuration was reached
+  finishExternal(ctx) {
+    const { id: streamId, entry } = ctx;
+    if (!entry.stopped && deadlinePassed(ctx.deadline)) {
+      this.recordEvent(streamId, 'max_duration', { position: entry.position, message: 'Maximum duration reached' });
+    }
+    this.finishOutputs(streamId, entry, 'ended');
+    releaseContext(ctx);
+    this.activeStreams.delete(streamId);
+    console.log(`[Streamer] External stream finished (${streamId}).`);
+    if (!entry.stopped) this.emit('ended', streamId, { status: 'completed' });
+  }
+
+  // Retries exhausted: the external stream is over
+  failExternal(ctx, err) {
+    const { id: streamId, entry } = ctx;
+    if (!entry) return releaseContext(ctx);
+    const message = err && err.message ? err.message : 'Unknown streaming error';
+    this.lastStreamErrors.set(streamId, message);
+    this.finishOutputs(streamId, entry, 'failed', message);
+    releaseContext(ctx);
+    this.activeStreams.delete(streamId);
+    this.recordEvent(streamId, 'error', { position: entry.position, message });
+    this.emit('ended', streamId, { status: 'failed', error: message });
+  }
+
   async stopExternalStream(streamId) {
     const id = String(streamId);
     const entry = this.activeStreams.get(id);
     if (!entry) return false;
     try {
       entry.stopped = true;
+      if (entry.retryTimer) clearTimeout(entry.retryTimer);
       const cmd = entry.command;
       if (cmd && cmd.ffmpegProc && cmd.ffmpegProc.stdin) {
         try { cmd.ffmpegProc.stdin.write('q'); } catch (_) {}
       }
       try { cmd.kill('SIGINT'); } catch (_) {}
+      // Stops the relay and filler; the source's exit is ignored once stopped
+      entry.release();
+      this.finishOutputs(id, entry, 'ended');
       this.activeStreams.delete(id);
+      this.emit('ended', id, { status: 'cancelled' });
       console.log(`[Streamer] Stopped external stream ${id}.`);
       return true;
     } catch (err) {
@@ -244,16 +987,70 @@ class Streamer {
       const err = this.lastStreamErrors.get(String(videoId));
       return { active: false, error: err };
     }
+    const prerollUntil = entry.prerollUntil ? new Date(entry.prerollUntil).getTime() : 0;
     return {
       active: true,
       videoId: String(videoId),
       outputUrl: entry.outputUrl,
+      destinations: snapshotOutputs(entry.outputs || []),
+      mode: entry.mode,
+      profile: entry.profile,
+      live: !!entry.live,
       startedAt: entry.startedAt,
       progress: entry.progress || 0,
+      position: entry.position || 0,
+      duration: entry.duration,
+      // Endless loops have no natural end, only a maxDuration deadline
+      projectedEndAt: projectedEnd(entry, prerollUntil),
+      // Repeating runs: the current play (1-based) and the total (null when endless)
+      repeat: entry.plays > 1 ? { play: (entry.pass || 0) + 1, of: Number.isFinite(entry.plays) ? entry.plays : null } : undefined,
+      deadline: entry.deadline || undefined,
+      preroll: prerollUntil > Date.now()
+        ? { until: new Date(prerollUntil), remaining: Math.ceil((prerollUntil - Date.now()) / 1000) }
+        : undefined,
+      reconnecting: !!entry.reconnecting,
+      reconnectAttempts: entry.attempts || 0,
+      // Fallback filler on air while the source is retried
+      fallback: !!entry.fallbackActive,
+      // On the hold slate: { since, position, message }; pausedSeconds totals finished pauses
+      paused: entry.paused || undefined,
+      pausedSeconds: entry.pausedSeconds || 0,
+      // What was swapped in, when the source changed mid-stream: { type, videoId, title } or { type, url, live }, with `since`
+      source: entry.source,
+      // HLS monitor available at /api/streams/:id/preview.m3u8
+      preview: !!(entry.preview && entry.preview.hls),
+      // Latest frame refreshed at /api/streams/:id/snapshot.jpg
+      snapshot: !!(entry.preview && entry.preview.snapshots),
+      // Latest encoder reading: fps, kbps, speed (x realtime), dropped/duplicated frames
+      telemetry: entry.telemetry.latest(),
+      // Last adaptive downgrade: { level, at, speed, from, to }
+      downgrade: entry.downgrade,
+      lastError: this.lastStreamErrors.get(String(videoId)),
       stopped: !!entry.stopped,
     };
   }
 
+  // Monitor (HLS preview, snapshots) of an active stream (see utils/preview); null when it has none
+  getStreamPreview(id) {
+    const entry = this.activeStreams.get(String(id));
+    return (entry && entry.preview) || null;
+  }
+
+  // ffmpeg log of a stream: the live buffer while it runs, else the log saved when it ended; null when none
+  getStreamLog(streamId) {
+    const entry = this.activeStreams.get(String(streamId));
+    if (entry) return { active: true, lines: entry.log.tail() };
+    const saved = readStreamLog(streamId);
+    return saved ? { active: false, ...saved } : null;
+  }
+
+  // Rolling encoder telemetry of an active stream (samples after `since`); null when not streaming
+  getStreamMetrics(streamId, since) {
+    const entry = this.activeStreams.get(String(streamId));
+    if (!entry) return null;
+    return { id: String(streamId), startedAt: entry.startedAt, ...entry.telemetry.history(since) };
+  }
+
   async startStream(videoId, opts = {}) {
     const id = String(videoId);
     if (this.activeStreams.has(id)) {
@@ -263,68 +1060,334 @@ class Streamer {
     const video = await Video.findById(id);
     if (!video) throw new Error('Video not found');
 
-    if (!video.filepath || !fs.existsSync(path.resolve(video.filepath))) {
+    // Playlist fallback replaces the video's own; with one, a missing file goes on air as filler and is retried
+    const fallbackConfig = fallbackEnabled(opts.fallback) ? opts.fallback : video.fallback;
+    if (!hasVideoFile(video) && !fallbackEnabled(fallbackConfig)) {
       throw new Error('Video file not found on disk');
     }
 
     const useRtmpUrl = opts.rtmpUrl || video.rtmpUrl;
     const useStreamKey = opts.streamKey || video.streamKey;
-    const outputUrl = buildOutputUrl(useRtmpUrl, useStreamKey);
+    // Playlist-level destinations replace the video's own extra targets
+    const extraDestinations = Array.isArray(opts.destinations) && opts.destinations.length ? opts.destinations : video.destinations;
+    // Items of a gapless playlist feed the session's relay, which owns the outputs
+    const session = opts.session || null;
+    const outputs = session ? session.outputs : resolveOutputs({ rtmpUrl: useRtmpUrl, streamKey: useStreamKey }, extraDestinations);
 
-    const shouldLoop = !!(video.loop && !opts.playlistId && !opts.disableLoop);
-    const inputOpts = ['-re'];
-    if (shouldLoop) {
-      // Loop input indefinitely; stream will only stop via stopTime or manual stop
-      inputOpts.push('-stream_loop', '-1');
-    }
     // Ensure scheduleTime exists when transitioning to streaming from library (Instant Live)
     if (!video.scheduleTime) {
       try { await Video.findByIdAndUpdate(id, { scheduleTime: new Date() }).exec(); } catch (_) {}
       video.scheduleTime = new Date();
     }
 
-    const command = ffmpeg(path.resolve(video.filepath))
-      .inputOptions(inputOpts)
-      .videoCodec('libx264')
-      .audioCodec('aac')
-      .audioBitrate('128k')
-      .outputOptions([
-        '-preset veryfast',
-        '-maxrate 3000k',
-        '-bufsize 6000k',
-        '-g 60',
-        '-pix_fmt yuv420p',
-        // Scale down to 1080p if larger; otherwise keep aspect ratio
-        '-vf scale=1920:-2:force_original_aspect_ratio=decrease',
-      ])
-      .format('flv')
-      .output(outputUrl);
+    // Playlist profile and overlays take precedence, mirroring RTMP overrides
+    const profileId = opts.profileId || video.profileId;
+    const overlays = hasOverlays(opts.overlays) ? opts.overlays : video.overlays;
+    const loudnessConfig = loudnessEnabled(opts.loudness) ? opts.loudness : video.loudness;
+    const loudness = loudnessEnabled(loudnessConfig) ? loudnessConfig : null;
+    if (missingAnalysis(loudness, video)) {
+      // Typically a playlist-level two-pass config on an item that was never measured; measure it for next time
+      const status = video.loudnessAnalysis && video.loudnessAnalysis.status;
+      console.warn(`[Streamer][${id}] Two-pass loudness without a measurement (${status || 'never measured'}); normalizing in a single pass`);
+      if (!status) queueAnalysis(video._id).catch(() => {});
+    }
+    const musicBedConfig = musicBedEnabled(opts.musicBed) ? opts.musicBed : video.musicBed;
+    const musicBed = musicBedEnabled(musicBedConfig) ? musicBedConfig : null;
+    // The "starting soon" slate is requested by the scheduler; it runs until opts.startAt
+    const preroll = prerollEnabled(opts.preroll) && slateSeconds(opts.startAt) > 0
+      ? { config: opts.preroll, until: new Date(opts.startAt), title: opts.slateTitle || video.title }
+      : null;
+    // A fallback streams through the relay
+    const fallback = fallbackEnabled(fallbackConfig) ? await prepareFallback(fallbackConfig) : null;
+    const mode = chooseStreamMode(video, { profileId, needsFilters: hasOverlays(overlays) || hasSubtitles(video) || !!loudness || !!musicBed || !!preroll || !!fallback || !!session });
+    if (mode === 'transcode' && video.streamMode === 'copy') {
+      console.warn(`[Streamer] Video ${id} is not passthrough compatible (${(video.passthrough && video.passthrough.reason) || 'unknown'}); transcoding`);
+    }
+    const encoding = session ? session.encoding : await loadEncoding(profileId);
+    // maxDuration counts from when the content starts (after any pre-roll); a resumed run keeps its original start
+    const deadline = runDeadline(video.maxDuration, opts.startedAt || (preroll ? preroll.until : Date.now()), opts.deadline);
+    if (deadlinePassed(deadline)) throw new Error('Maximum duration already reached');
+    // Playlist items play once; the playlist does the looping
+    const plays = video.playlistId || opts.disableLoop ? 1 : video.getPlayCount();
+
+    const ctx = {
+      id,
+      // The record the stream belongs to; `content` is what plays (another video or a URL after a swap)
+      video,
+      content: video,
+      trim: video.getTrimWindow(),
+      outputs,
+      outputUrl: outputs[0].url,
+      useRtmpUrl,
+      useStreamKey,
+      mode,
+      encoding,
+      overlays,
+      subtitles: hasSubtitles(video) ? video.subtitles : null,
+      loudness,
+      musicBed,
+      preroll,
+      fallback,
+      relay: session ? session.relay : null,
+      // Gapless items share the session's monitor
+      preview: session ? session.preview : null,
+      session,
+      assets: new Map(),
+      plays,
+      shouldLoop: plays > 1,
+      deadline,
+      entry: null,
+      // Items of a gapless session run in the session's slot
+      cleanups: session ? [] : [this.claimSlot(id, outputs)],
+    };
+    ctx.log = new StreamLog(id, { secrets: outputs.map((o) => o.streamKey) });
+    // Kept on disk for post-mortems once the stream is over
+    ctx.cleanups.push(() => ctx.log.persist());
+    ctx.launch = async (seekSeconds) => {
+      if (ctx.relay) await ctx.relay.start();
+      // A URL swapped in is resolved on every run since resolved URLs expire; live ones rejoin at the live edge
+      const { sourceUrl, live } = ctx.content;
+      ctx.resolved = sourceUrl ? await resolveSource(sourceUrl, { seekSeconds: live ? 0 : seekSeconds }) : null;
+      if (ctx.entry && ctx.entry.stopped) throw new Error('Stream stopped');
+      if (!ctx.resolved && !hasVideoFile(ctx.content)) throw new Error('Video file not found on disk');
+      return this.launchVideo(ctx, seekSeconds);
+    };
+    ctx.finish = () => this.finishVideo(ctx);
+    ctx.fail = (err) => this.failVideo(ctx, err);
+
+    // Persist per-destination status changes on the video document
+    const onOutputs = (streamId, list) => {
+      if (streamId !== id) return;
+      Video.findByIdAndUpdate(id, { outputs: list }).exec().catch(() => {});
+    };
+    this.on('outputs', onOutputs);
+    ctx.cleanups.push(() => this.removeListener('outputs', onOutputs));
+    if (session) {
+      session.ctx = ctx;
+      // The relay outlives the item; once the item has run, its end moves the playlist on
+      ctx.cleanups.push(() => {
+        this.stopFiller(ctx);
+        if (ctx.entry) this.advancePlaylist(session, ctx);
+      });
+    }
+
+    // -stream_loop restarts at the top of the file, so a looping trimmed segment goes through a concat list
+    const trimmed = ctx.trim.start > 0 || ctx.trim.end !== undefined;
+    if (ctx.shouldLoop && trimmed) {
+      ctx.concatList = writeConcatList(id, path.resolve(video.filepath), ctx.trim.start, ctx.trim.end);
+      ctx.cleanups.push(() => fs.unlinkSync(ctx.concatList));
+    }
+
+    try {
+      if (mode === 'transcode') {
+        const [overlayAssets, prerollAssets, musicAssets] = await Promise.all([
+          loadOverlayAssets(overlays),
+          preroll ? loadPrerollAssets(preroll.config) : new Map(),
+          musicBed ? loadMusicBedAssets(musicBed) : new Map(),
+        ]);
+        ctx.assets = new Map([...overlayAssets, ...prerollAssets, ...musicAssets]);
+      }
+      if (!session) await this.attachPreview(ctx);
+      // Transcoded outputs go through a relay from the start so a pause, swap or filler never reconnects them
+      if (mode === 'transcode' && !ctx.relay) await this.openRelay(ctx);
+      if (!hasVideoFile(video)) return await this.startOnFiller(ctx, new Error('Video file not found on disk'));
+      // opts.resumeAt picks up an interrupted run (seconds into the trimmed video)
+      return await ctx.launch(opts.resumeAt > 0 ? opts.resumeAt : 0);
+    } catch (err) {
+      releaseContext(ctx);
+      throw err;
+    }
+  }
+
+  /**
+   * Compile the filter graph for one run of a transcoded video stream, with a slate of
+   * `slate` seconds in front when a pre-roll is due; `offset` is the file position the
+   * run starts at. Null when plain scaling is enough.
+   */
+  buildVideoGraph(ctx, slate, offset = 0) {
+    const { encoding, overlays } = ctx;
+    const media = ctx.content.media;
+    if (ctx.mode !== 'transcode' || (!hasOverlays(overlays) && !ctx.subtitles && !ctx.loudness && !ctx.musicBed && !slate && !ctx.relay)) return null;
+    const writeTemp = (name, content) => writeTempFile(ctx, name, content);
+    const graph = new FilterGraph({ hasAudio: !(media && media.videoCodec && !media.audioCodec) });
+    graph.video(encoding.scaleFilter);
+    // Captions go on the picture itself, inside any letterbox
+    if (ctx.subtitles) graph.video(...subtitleFilters(ctx.subtitles, { offset }));
+    // Concat segments and relay feeds must all share one frame size
+    const padded = slate > 0 || !!ctx.relay;
+    if (padded) graph.video(encoding.padFilter);
+    if (hasOverlays(overlays)) {
+      // Watermarks are sized against the frame they land on, not the profile box
+      const { width } = padded ? encoding.profile : scaledSize(encoding.profile, media);
+      compileOverlays(graph, overlays, { assets: ctx.assets, width, writeTemp });
+    }
+    if (ctx.loudness) {
+      // loudnorm resamples to 192 kHz internally
+      graph.audio(loudnormFilter(ctx.loudness, ctx.content.loudnessAnalysis), `aresample=${encoding.profile.audioSampleRate}`);
+    }
+    if (ctx.musicBed) {
+      const { duration } = ctx.trim;
+      compileMusicBed(graph, ctx.musicBed, {
+        assets: ctx.assets,
+        writeTemp,
+        sampleRate: encoding.profile.audioSampleRate,
+        channels: encoding.profile.audioChannels,
+        // Content left in this run, so a replacing soundtrack stops with the picture
+        remaining: ctx.shouldLoop ? Infinity : duration > 0 ? Math.max(0, duration - (offset - ctx.trim.start)) : undefined,
+      });
+    }
+    if (slate > 0) {
+      const { profile } = encoding;
+      compileSlate(graph, ctx.preroll.config, {
+        seconds: slate,
+        width: profile.width,
+        height: profile.height,
+        fps: profile.fps || Math.round((media && media.fps) || 30),
+        title: ctx.preroll.title,
+        assets: ctx.assets,
+        writeTemp,
+        sampleRate: profile.audioSampleRate,
+        channels: profile.audioChannels,
+      });
+      // Inputs are no longer read with -re (the content would be consumed during the slate), so pace the output
+      graph.video('realtime').audio('arealtime');
+    }
+    return graph;
+  }
+
+  // seekSeconds is relative to the start of the (trimmed) segment
+  buildVideoCommand(ctx, seekSeconds) {
+    const { start, end } = ctx.trim;
+    // A pre-roll only plays before the content has started
+    const slate = ctx.preroll && seekSeconds === 0 ? slateSeconds(ctx.preroll.until) : 0;
+    // Repeats after the current play (-1 loops forever)
+    const repeats = Number.isFinite(ctx.plays) ? Math.max(0, ctx.plays - 1 - ((ctx.entry && ctx.entry.pass) || 0)) : -1;
+    const graph = this.buildVideoGraph(ctx, slate, start + seekSeconds);
+    ctx.slateSeconds = slate;
+    const live = !!(ctx.resolved && ctx.content.live);
+    const inputOpts = slate > 0 || live ? [] : ['-re'];
+    let source = ctx.content.filepath && path.resolve(ctx.content.filepath);
+    if (ctx.resolved) {
+      // A URL swapped in (see swapContext), read like an external stream's source
+      const { input, seekable, inputOptions } = ctx.resolved;
+      source = input;
+      inputOpts.push('-thread_queue_size', '4096', ...(live ? liveInputOptions(input, inputOptions) : inputOptions));
+      if (!live && seekSeconds > 0 && seekable) inputOpts.push('-ss', seekSeconds.toFixed(3));
+    } else if (ctx.concatList) {
+      source = ctx.concatList;
+      inputOpts.push('-f', 'concat', '-safe', '0', '-stream_loop', String(repeats));
+      if (seekSeconds > 0) inputOpts.push('-ss', seekSeconds.toFixed(3));
+    } else {
+      if (ctx.shouldLoop) {
+        // Repeat the input; endless loops only stop via stopTime, maxDuration or a manual stop
+        inputOpts.push('-stream_loop', String(repeats));
+      }
+      const from = start + seekSeconds;
+      if (from > 0) inputOpts.push('-ss', from.toFixed(3));
+      // Input -to is an absolute position in the file
+      if (end !== undefined) inputOpts.push('-to', end.toFixed(3));
+    }
+    const input = applyGraphInputs(ffmpeg(source).inputOptions(inputOpts), graph);
+    const encoded = applyDeadline(ctx.mode === 'copy' ? applyPassthrough(input) : applyEncoding(input, ctx.encoding, graph), ctx.deadline);
+    if (ctx.relay) return ctx.relay.attach(encoded);
+    return applyOutputs(encoded, ctx.outputs, { mapped: !!graph, preview: ctx.preview && ctx.preview.feedUrl });
+  }
+
+  // First run of a video stream is up: mark the video streaming and register its entry
+  async openVideoEntry(ctx, command, { seekSeconds, slate }) {
+    const { id, video, outputs, outputUrl, mode } = ctx;
+    video.status = 'streaming';
+    video.streamStartedAt = new Date();
+    video.progress = 0;
+    // Persist actual RTMP details used for this run
+    video.usedRtmpUrl = ctx.useRtmpUrl;
+    video.usedStreamKey = ctx.useStreamKey;
+    video.lastOutputUrl = outputUrl;
+    video.outputs = snapshotOutputs(outputs);
+    await video.save();
+    try { await insertStreamEvent(id, 'start', { outputUrl }); } catch (_) {}
+    try { await syncVideo(video); } catch (_) {}
+    if (slate > 0) {
+      this.recordEvent(id, 'preroll', { position: 0, message: `Starting soon slate for ${Math.round(slate)}s` });
+    }
+
+    const entry = {
+      command,
+      startedAt: new Date(),
+      progress: 0,
+      position: 0,
+      seekBase: seekSeconds,
+      runStartedMs: Date.now(),
+      lastUpdateMs: Date.now(),
+      stopped: false,
+      outputUrl,
+      outputs,
+      mode,
+      profile: mode === 'copy' ? undefined : ctx.encoding.profile.name,
+      duration: ctx.trim.duration,
+      loop: ctx.shouldLoop,
+      plays: ctx.plays,
+      pass: 0,
+      passBase: 0,
+      deadline: ctx.deadline,
+      prerollUntil: slate > 0 ? ctx.preroll.until : undefined,
+      attempts: 0,
+      reconnecting: false,
+      telemetry: new EncoderTelemetry(),
+      log: ctx.log,
+      preview: ctx.preview,
+      pause: (opts) => this.pauseContext(ctx, opts),
+      resume: () => this.resumeContext(ctx),
+      swap: (source) => this.swapContext(ctx, source),
+      release: () => releaseContext(ctx),
+    };
+    ctx.entry = entry;
+    this.lastStreamErrors.delete(id);
+    this.activeStreams.set(id, entry);
+    outputs.forEach((_, i) => this.setOutputStatus(id, entry, i, 'active'));
+  }
+
+  // The video file is missing but a fallback is set: open the stream on filler and retry the file
+  async startOnFiller(ctx, err) {
+    await this.openVideoEntry(ctx, null, { seekSeconds: 0, slate: 0 });
+    console.warn(`[Streamer][${ctx.id}] ${err.message}; starting on fallback filler`);
+    if (!this.scheduleRetry(ctx, err)) {
+      await ctx.fail(err);
+      throw err;
+    }
+    return null;
+  }
+
+  // Run one ffmpeg process for a video stream; resolves with the command once it has spawned
+  launchVideo(ctx, requestedSeek) {
+    const { id, outputs, mode } = ctx;
+    // Retries and resumes can ask for a position at the very end of the file
+    const seekSeconds = clampSeek(ctx.trim, requestedSeek);
+    const command = this.buildVideoCommand(ctx, seekSeconds);
+    const slate = ctx.slateSeconds;
+    // Relaunches take over the existing entry right away so their failures are retried too
+    if (ctx.entry) ctx.entry.command = command;
 
     return new Promise((resolve, reject) => {
+      let started = false;
       command
         .on('start', async (cmdLine) => {
           try {
-            console.log(`[Streamer] FFmpeg started for video ${id}: ${cmdLine}`);
-            video.status = 'streaming';
-            video.streamStartedAt = new Date();
-            video.progress = 0;
-            // Persist actual RTMP details used for this run
-            video.usedRtmpUrl = useRtmpUrl;
-            video.usedStreamKey = useStreamKey;
-            video.lastOutputUrl = outputUrl;
-            await video.save();
-            try { await insertStreamEvent(id, 'start', { outputUrl }); } catch (_) {}
-            try { await syncVideo(video); } catch (_) {}
-
-            const entry = {
-              command,
-              startedAt: new Date(),
-              progress: 0,
-              lastUpdateMs: Date.now(),
-              stopped: false,
-              outputUrl,
-            };
-            this.activeStreams.set(id, entry);
+            started = true;
+            console.log(`[Streamer] FFmpeg started for video ${id} (${mode}): ${cmdLine}`);
+            ctx.log.push(cmdLine, 'command');
+            if (ctx.entry) {
+              const entry = ctx.entry;
+              entry.reconnecting = false;
+              entry.seekBase = seekSeconds;
+              entry.passBase = entry.pass || 0;
+              entry.runStartedMs = Date.now();
+              outputs.forEach((_, i) => this.setOutputStatus(id, entry, i, 'active'));
+              console.log(`[Streamer] Video ${id} reconnected at ${Math.floor(seekSeconds)}s`);
+              return resolve(command);
+            }
+
+            await this.openVideoEntry(ctx, command, { seekSeconds, slate });
             resolve(command);
           } catch (err) {
             reject(err);
@@ -332,20 +1395,32 @@ class Streamer {
         })
         .on('progress', async (progress) => {
           try {
-            const entry = this.activeStreams.get(id);
-            if (!entry) return;
+            const entry = ctx.entry;
+            if (!entry || entry.command !== command) return;
+            this.resumeFromFiller(ctx);
             const now = Date.now();
-            const seconds = parseTimemark(progress.timemark);
+            const duration = ctx.trim.duration;
+            // The slate is part of the output timeline but not of the video
+            let position = (entry.seekBase || 0) + Math.max(0, parseTimemark(progress.timemark) - slate);
+            // Looping input: report the position within the current pass
+            if (ctx.shouldLoop && duration > 0) {
+              entry.pass = (entry.passBase || 0) + Math.floor(position / duration);
+              position %= duration;
+            }
+            entry.position = position;
             let pct = undefined;
-            if (typeof video.duration === 'number' && video.duration > 0) {
-              pct = Math.min(100, Math.floor((seconds / video.duration) * 100));
+            if (typeof duration === 'number' && duration > 0) {
+              // A finite loop reports progress over all of its plays; an endless one over the current pass
+              const plays = Number.isFinite(ctx.plays) ? ctx.plays : 1;
+              const played = Number.isFinite(ctx.plays) ? (entry.pass || 0) * duration + position : position;
+              pct = Math.min(100, Math.floor((played / (duration * plays)) * 100));
             }
             if (typeof pct === 'number') {
               // Rate-limit DB writes to ~1s or when percentage increases.
               if (pct !== entry.progress || now - (entry.lastUpdateMs || 0) > 1000) {
                 entry.progress = pct;
                 entry.lastUpdateMs = now;
-                await Video.findByIdAndUpdate(id, { progress: pct }).exec();
+                await Video.findByIdAndUpdate(id, { progress: pct, lastPosition: Math.floor(position) }).exec();
                 try { await updateVideoProgress(id, pct); } catch (_) {}
               }
             }
@@ -354,59 +1429,43 @@ class Streamer {
           }
         })
         .on('stderr', (line) => {
+          const entry = ctx.entry;
+          if (entry && entry.command === command && entry.telemetry.update(line)) return this.adaptEncoding(ctx);
+          ctx.log.push(line);
           // Optional: log ffmpeg internal lines for diagnostics
           if (line && /Error|Invalid|failed/i.test(line)) {
             console.warn(`[Streamer][${id}] ffmpeg: ${line.trim()}`);
+            const failed = this.handleTeeLine(id, ctx.entry, line);
+            if (failed) {
+              insertStreamEvent(id, 'destination_failed', { outputUrl: failed.url, message: failed.errorMessage }).catch(() => {});
+            }
           }
         })
         .on('end', async () => {
           try {
-            const entry = this.activeStreams.get(id);
-            this.activeStreams.delete(id);
-            // Verify document still exists before saving
-            const exists = await Video.exists({ _id: id });
-            if (!exists) {
-              console.log(`[Streamer] Video ${id} no longer exists; skipping end-state save.`);
-              return;
-            }
-            // If stopStream was called, prefer cancelled status.
-            if (entry && entry.stopped) {
-              video.status = 'cancelled';
-            } else {
-              video.status = 'completed';
-              video.progress = 100;
-            }
-            video.streamEndedAt = new Date();
-            // lastOutputUrl etc already set on start; keep as-is for audit
-            await video.save();
-            try { await insertStreamEvent(id, 'end', { progress: video.progress, outputUrl: video.lastOutputUrl }); } catch (_) {}
-            try { await syncVideo(video); } catch (_) {}
-            console.log(`[Streamer] Stream finished for video ${id} (${video.status}).`);
+            const entry = ctx.entry;
+            if (!entry || entry.command !== command) return;
+            // A live URL swapped in may come back; it only ends once reconnects run out
+            if (ctx.content.live && !entry.stopped && this.scheduleRetry(ctx, new Error('Live source ended'))) return;
+            await ctx.finish();
           } catch (err) {
             console.error(`[Streamer] End handler error for ${id}: ${err.message}`);
           }
         })
         .on('error', async (err, _stdout, _stderr) => {
-          try {
-            console.error(`[Streamer] FFmpeg error for video ${id}: ${err.message}`);
-            this.activeStreams.delete(id);
-            // Verify document still exists before saving
-            const exists = await Video.exists({ _id: id });
-            if (exists) {
-              video.status = 'failed';
-              video.errorMessage = err.message || 'Streaming failed';
-              video.streamEndedAt = new Date();
-              await video.save();
-              try { await insertStreamEvent(id, 'error', { message: video.errorMessage }); } catch (_) {}
-              try { await syncVideo(video); } catch (_) {}
-            } else {
-              console.log(`[Streamer] Video ${id} no longer exists; skipping error-state save.`);
-            }
-          } catch (saveErr) {
-            console.error(`[Streamer] Failed to persist error for ${id}: ${saveErr.message}`);
+          ctx.log.push(`ffmpeg exited: ${String(err.message).split('\n')[0]}`, 'streamer');
+          const entry = ctx.entry;
+          // Failed to spawn at all: let the caller handle it
+          if (!started && !entry) return reject(err);
+          // Superseded run, or stopped on purpose (stopStream persisted the state)
+          if (!entry || entry.command !== command) return;
+          if (entry.stopped) {
+            releaseContext(ctx);
+            return;
           }
-          // Reject only if startup failed; if error after start, the promise has resolved already.
-          // For completeness, we do not re-reject here.
+          console.error(`[Streamer] FFmpeg error for video ${id}: ${err.message}`);
+          if (this.scheduleRetry(ctx, err)) return;
+          await ctx.fail(err);
         });
 
       // Run the command
@@ -418,6 +1477,61 @@ class Streamer {
     });
   }
 
+  // The video stream is over: played out, maxDuration reached or stopped
+  async finishVideo(ctx) {
+    const { id, video, entry } = ctx;
+    this.finishOutputs(id, entry, 'ended');
+    releaseContext(ctx);
+    this.activeStreams.delete(id);
+    // Verify document still exists before saving
+    const exists = await Video.exists({ _id: id });
+    if (!exists) {
+      console.log(`[Streamer] Video ${id} no longer exists; skipping end-state save.`);
+      return;
+    }
+    if (!entry.stopped && deadlinePassed(ctx.deadline)) {
+      this.recordEvent(id, 'max_duration', { position: entry.position, message: 'Maximum duration reached' });
+    }
+    // If stopStream was called, prefer cancelled status.
+    if (entry.stopped) {
+      video.status = 'cancelled';
+    } else {
+      video.status = 'completed';
+      video.progress = 100;
+    }
+    video.streamEndedAt = new Date();
+    // lastOutputUrl etc already set on start; keep as-is for audit
+    await video.save();
+    try { await insertStreamEvent(id, 'end', { progress: video.progress, outputUrl: video.lastOutputUrl }); } catch (_) {}
+    try { await syncVideo(video); } catch (_) {}
+    console.log(`[Streamer] Stream finished for video ${id} (${video.status}).`);
+  }
+
+  // Retries exhausted: mark the video failed
+  async failVideo(ctx, err) {
+    const { id, video, entry } = ctx;
+    try {
+      this.finishOutputs(id, entry, 'failed', err.message);
+      releaseContext(ctx);
+      this.activeStreams.delete(id);
+      this.lastStreamErrors.set(id, err.message || 'Streaming failed');
+      // Verify document still exists before saving
+      const exists = await Video.exists({ _id: id });
+      if (exists) {
+        video.status = 'failed';
+        video.errorMessage = err.message || 'Streaming failed';
+        video.streamEndedAt = new Date();
+        await video.save();
+        await this.recordEvent(id, 'error', { position: entry && entry.position, message: video.errorMessage });
+        try { await syncVideo(video); } catch (_) {}
+      } else {
+        console.log(`[Streamer] Video ${id} no longer exists; skipping error-state save.`);
+      }
+    } catch (saveErr) {
+      console.error(`[Streamer] Failed to persist error for ${id}: ${saveErr.message}`);
+    }
+  }
+
   async stopStream(videoId) {
     const id = String(videoId);
     const entry = this.activeStreams.get(id);
@@ -425,7 +1539,13 @@ class Streamer {
 
     try {
       entry.stopped = true;
+      if (entry.retryTimer) clearTimeout(entry.retryTimer);
       const cmd = entry.command;
+      if (!cmd || entry.reconnecting || entry.retryTimer || entry.paused) {
+        // Waiting to reconnect, relaunching (retry, swap, downgrade) or paused: no content exit
+        // event will follow to release resources, and a pending launch gives up once stopped
+        entry.release();
+      }
       // Try graceful quit: send 'q' to ffmpeg stdin; fallback to SIGINT
       if (cmd && cmd.ffmpegProc && cmd.ffmpegProc.stdin) {
         try {
@@ -436,6 +1556,7 @@ class Streamer {
         cmd.kill('SIGINT');
       } catch (_) {}
 
+      this.finishOutputs(id, entry, 'ended');
       // Persist cancelled state immediately
       await Video.findByIdAndUpdate(id, { status: 'cancelled', streamEndedAt: new Date() }).exec();
       try { await insertStreamEvent(id, 'stop'); } catch (_) {}
@@ -447,6 +1568,184 @@ class Streamer {
       return false;
     }
   }
+
+  /**
+   * Stream a running playlist gaplessly: one relay holds the RTMP session for the whole
+   * run and the items encode into it one after another, each starting as soon as the
+   * previous one ends. Starts at playlist.currentIndex; opts carry the first item's
+   * pre-roll ({ preroll, startAt, slateTitle }).
+   */
+  async startPlaylistSession(playlist, opts = {}) {
+    const playlistId = String(playlist._id);
+    if (this.playlistSessions.has(playlistId)) {
+      throw new Error(`Playlist ${playlistId} is already streaming`);
+    }
+    // Without playlist-level RTMP settings the first item's own target carries the whole run
+    let { rtmpUrl, streamKey } = playlist;
+    if (!rtmpUrl || !streamKey) {
+      const first = await Video.findById(playlist.videos[playlist.currentIndex] || playlist.videos[0]).lean().exec();
+      rtmpUrl = rtmpUrl || (first && first.rtmpUrl);
+      streamKey = streamKey || (first && first.streamKey);
+    }
+    const outputs = resolveOutputs({ rtmpUrl, streamKey }, playlist.destinations);
+    // Relay feeds must share one profile, so the playlist's applies to every item
+    const encoding = await loadEncoding(playlist.profileId);
+    const release = this.claimSlot(`playlist:${playlistId}`, outputs);
+    const preview = await openPreview(`playlist:${playlistId}`);
+    const session = {
+      playlistId,
+      rtmpUrl,
+      streamKey,
+      outputs,
+      encoding,
+      relay: new Relay(`playlist:${playlistId}`, outputs, { preview }),
+      preview,
+      index: playlist.currentIndex || 0,
+      // maxDuration of the playlist; every item run is capped at it
+      deadline: playlist.getDeadline() || null,
+      ctx: null,
+      stopped: false,
+      release,
+    };
+    this.watchRelay(session.relay, () => session.ctx);
+    this.playlistSessions.set(playlistId, session);
+    try {
+      await session.relay.start();
+      const started = await this.playPlaylistItem(session, session.index, opts);
+      if (!started) throw new Error(this.lastStreamErrors.get(`playlist:${playlistId}`) || 'No playlist item could be started');
+      return session;
+    } catch (err) {
+      this.endPlaylistSession(session);
+      throw err;
+    }
+  }
+
+  /**
+   * Start the item at `index` in the session (wrapping when the playlist loops). Items
+   * that fail to start are skipped; ends the session once nothing is left to play.
+   * Resolves true when an item is on air.
+   */
+  async playPlaylistItem(session, index, extra = {}) {
+    let failures = 0;
+    let opts = extra;
+    while (!session.stopped) {
+      const playlist = await Playlist.findById(session.playlistId).exec();
+      // Cancelled or deleted meanwhile
+      if (!playlist || playlist.status !== 'running') {
+        this.endPlaylistSession(session);
+        return false;
+      }
+      if (deadlinePassed(session.deadline)) {
+        await this.endPlaylistSession(session, playlist, 'completed');
+        return false;
+      }
+      const total = playlist.videos.length;
+      if (failures >= total) {
+        await this.endPlaylistSession(session, playlist, 'failed');
+        return false;
+      }
+      if (index >= total) {
+        if (!playlist.repeatsAfterPass()) {
+          await this.endPlaylistSession(session, playlist, 'completed');
+          return false;
+        }
+        // Saved with the next item's index below
+        playlist.loopsCompleted = (playlist.loopsCompleted || 0) + 1;
+        index = 0;
+      }
+      const videoId = String(playlist.videos[index]);
+      session.index = index;
+      try {
+        await this.startStream(videoId, {
+          rtmpUrl: session.rtmpUrl,
+          streamKey: session.streamKey,
+          profileId: playlist.profileId,
+          overlays: playlist.overlays,
+          loudness: playlist.loudness,
+          musicBed: playlist.musicBed,
+          fallback: playlist.fallback,
+          playlistId: playlist._id,
+          session,
+          deadline: session.deadline,
+          ...opts,
+        });
+        playlist.currentIndex = index + 1;
+        await playlist.save();
+        try { await syncPlaylist(playlist); } catch (_) {}
+        console.log(`[Streamer] Playlist ${session.playlistId} item ${index + 1}/${total} on air (gapless): ${videoId}`);
+        return true;
+      } catch (err) {
+        // Skip the broken item, as the scheduler would after a failed run
+        console.error(`[Streamer] Playlist ${session.playlistId} item ${index + 1} failed to start: ${err.message}`);
+        this.lastStreamErrors.set(`playlist:${session.playlistId}`, err.message);
+        session.ctx = null;
+        failures += 1;
+        index += 1;
+        opts = {};
+      }
+    }
+    return false;
+  }
+
+  // An item of a gapless session is over (completed, failed or stopped): move to the next one
+  async advancePlaylist(session, finished) {
+    if (session.stopped || session.ctx !== finished) return;
+    session.ctx = null;
+    try {
+      await this.playPlaylistItem(session, session.index + 1);
+    } catch (err) {
+      console.error(`[Streamer] Playlist ${session.playlistId} failed to advance: ${err.message}`);
+      this.endPlaylistSession(session);
+    }
+  }
+
+  // Close the session's output; with a status, also record the playlist's final state
+  async endPlaylistSession(session, playlist = null, status = null) {
+    session.stopped = true;
+    if (this.playlistSessions.get(session.playlistId) === session) this.playlistSessions.delete(session.playlistId);
+    session.relay.stop();
+    if (session.preview) session.preview.stop();
+    session.release();
+    if (!playlist || !status) return;
+    try {
+      playlist.status = status;
+      playlist.streamEndedAt = new Date();
+      await playlist.save();
+      try { await syncPlaylist(playlist); } catch (_) {}
+      console.log(`[Streamer] Playlist ${session.playlistId} ${status} (gapless session closed)`);
+    } catch (err) {
+      console.error(`[Streamer] Failed to persist playlist ${session.playlistId}: ${err.message}`);
+    }
+  }
+
+  // Stop a gapless playlist: the current item is cancelled and the output closed
+  async stopPlaylistSession(playlistId) {
+    const session = this.playlistSessions.get(String(playlistId));
+    if (!session) return false;
+    session.stopped = true;
+    const ctx = session.ctx;
+    if (ctx) await this.stopStream(ctx.id);
+    this.endPlaylistSession(session);
+    console.log(`[Streamer] Stopped playlist session ${playlistId}.`);
+    return true;
+  }
+
+  getPlaylistSessions() {
+    return Array.from(this.playlistSessions.keys());
+  }
+
+  // Current item of a gapless session, or null when the playlist is not streaming gaplessly
+  getPlaylistSession(playlistId) {
+    const session = this.playlistSessions.get(String(playlistId));
+    if (!session) return null;
+    return {
+      playlistId: session.playlistId,
+      index: session.index,
+      videoId: session.ctx ? session.ctx.id : undefined,
+      outputUrl: session.outputs[0].url,
+      startedAt: session.relay.startedMs ? new Date(session.relay.startedMs) : undefined,
+    };
+  }
 }
 
-module.exports = new Streamer();
\ No newline at end of file
+module.exports = new Streamer();
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { parseStatsLine } = require('./telemetry');
+
+const LOG_DIR = process.env.STREAM_LOG_DIR || path.join(process.cwd(), 'videos', 'logs');
+const MAX_LOG_LINES = Number(process.env.STREAM_LOG_LINES) || 1000;
+const MASK = '****';
+
+// Last path segment of RTMP-style URLs, where ingest servers take the stream key
+const RTMP_KEY = /(rtmps?:\/\/[^\s/'"|]+(?:\/[^\s/'"|]+)*\/)([^\s/'"|\\:]+)/gi;
+// SRT stream ids and passphrases in query strings
+const QUERY_SECRET = /([?&](?:streamid|passphrase|key)=)([^&\s'"|]+)/gi;
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function logFile(id) {
+  return path.join(LOG_DIR, `${String(id).replace(/[^A-Za-z0-9_-]/g, '_')}.log`);
+}
+
+/**
+ * Bounded ring buffer of a stream's ffmpeg stderr (source, relay and filler processes),
+ * with stream keys masked as lines come in. Periodic stats lines are left to the telemetry.
+ */
+class StreamLog {
+  constructor(id, { secrets = [], limit = MAX_LOG_LINES } = {}) {
+    this.id = String(id);
+    this.limit = limit;
+    this.lines = [];
+    this.secrets = null;
+    this.setSecrets(secrets);
+  }
+
+  // Stream keys to mask wherever they appear (tee specs, error messages)
+  setSecrets(secrets) {
+    const list = [...new Set(secrets.filter((s) => s && String(s).length >= 4).map(String))];
+    this.secrets = list.length ? new RegExp(list.map(escapeRegExp).join('|'), 'g') : null;
+  }
+
+  redact(text) {
+    let out = String(text);
+    if (this.secrets) out = out.replace(this.secrets, MASK);
+    return out.replace(RTMP_KEY, (m, base, key) => (key === MASK ? m : `${base}${MASK}`)).replace(QUERY_SECRET, `$1${MASK}`);
+  }
+
+  push(line, source = 'ffmpeg') {
+    const text = String(line || '').trimEnd();
+    if (!text || parseStatsLine(text)) return;
+    this.lines.push(`${new Date().toISOString()} [${source}] ${this.redact(text)}`);
+    if (this.lines.length > this.limit) this.lines.splice(0, this.lines.length - this.limit);
+  }
+
+  tail(count) {
+    return count > 0 ? this.lines.slice(-count) : this.lines.slice();
+  }
+
+  // Write the buffer to videos/logs/<id>.log, replacing the previous run's log
+  persist() {
+    try {
+      fs.mkdirSync(LOG_DIR, { recursive: true });
+      fs.writeFileSync(logFile(this.id), this.lines.length ? `${this.lines.join('\n')}\n` : '');
+    } catch (err) {
+      console.warn(`[StreamLog] Failed to save log for ${this.id}: ${err.message}`);
+    }
+  }
+}
+
+// Last persisted log of a stream: { lines, savedAt } or null when none was kept
+function readStreamLog(id) {
+  const file = logFile(id);
+  if (!fs.existsSync(file)) return null;
+  const text = fs.readFileSync(file, 'utf8');
+  return { lines: text ? text.replace(/\n$/, '').split('\n') : [], savedAt: fs.statSync(file).mtime };
+}
+
+function removeStreamLog(id) {
+  try {
+    const file = logFile(id);
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  } catch (err) {
+    console.warn(`[StreamLog] Failed to delete log for ${id}: ${err.message}`);
+  }
+}
+
+module.exports = { StreamLog, readStreamLog, removeStreamLog, MAX_LOG_LINES };
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { escapeFilterValue } = require('./filtergraph');
+const { plain } = require('./overlays');
+const { parseJsonObject } = require('./jsonbody');
+
+const SUBTITLE_FORMATS = { '.srt': 'srt', '.vtt': 'vtt' };
+const MAX_SUBTITLE_BYTES = 5 * 1024 * 1024;
+
+// Style keys are mapped to force_style when the filter is built
+function parseSubtitleStyle(input) {
+  return parseJsonObject(input, 'subtitleStyle');
+}
+
+function hasSubtitles(video) {
+  const s = plain(video && video.subtitles);
+  return !!(s && s.enabled !== false && s.filepath && fs.existsSync(s.filepath));
+}
+
+// Reject files that are obviously not captions before they are kept
+function checkSubtitleContent(filepath, format) {
+  const text = fs.readFileSync(filepath, 'utf8').replace(/^\uFEFF/, '');
+  if (format === 'vtt' && !/^WEBVTT/.test(text)) return 'Not a WebVTT file (missing WEBVTT header)';
+  if (!/-->/.test(text)) return 'No subtitle cues found';
+  return null;
+}
+
+/**
+ * Validate an uploaded subtitle file and describe it stored next to the video as
+ * <video name>.<srt|vtt>. Returns the Video.subtitles document; throws when invalid.
+ * The upload is not moved (see storeSubtitles).
+ */
+function prepareSubtitles(file, videoFilepath, style) {
+  const format = SUBTITLE_FORMATS[path.extname(file.originalname).toLowerCase()];
+  if (!format) throw new Error('Subtitles must be an .srt or .vtt file');
+  if (file.size > MAX_SUBTITLE_BYTES) throw new Error('Subtitle file is too large (max 5MB)');
+  const problem = checkSubtitleContent(file.path, format);
+  if (problem) throw new Error(problem);
+  const { dir, name } = path.parse(videoFilepath);
+  const target = path.join(dir, `${name}.${format}`);
+  return {
+    filename: path.basename(target),
+    filepath: target,
+    format,
+    originalName: file.originalname,
+    uploadedAt: new Date(),
+    enabled: true,
+    style: style || {},
+  };
+}
+
+// prepareSubtitles, then move the upload into place (over any file of the same format)
+function storeSubtitles(file, videoFilepath, style) {
+  const subtitles = prepareSubtitles(file, videoFilepath, style);
+  fs.renameSync(file.path, subtitles.filepath);
+  return subtitles;
+}
+
+function removeSubtitleFile(subtitles) {
+  const s = plain(subtitles);
+  if (!s || !s.filepath) return;
+  try {
+    if (fs.existsSync(s.filepath)) fs.unlinkSync(s.filepath);
+  } catch (err) {
+    console.warn(`[Subtitles] Failed to delete file: ${err.message}`);
+  }
+}
+
+// '#RRGGBB' -> libass '&H00BBGGRR'
+function assColor(hex) {
+  const h = String(hex).replace('#', '');
+  return `&H00${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`.toUpperCase();
+}
+
+function forceStyle(style) {
+  const s = plain(style) || {};
+  const parts = [
+    `FontSize=${s.fontSize || 24}`,
+    `PrimaryColour=${assColor(s.fontColor || '#FFFFFF')}`,
+    `OutlineColour=${assColor(s.outlineColor || '#000000')}`,
+    'BorderStyle=1',
+    `Outline=${s.outline === undefined ? 2 : s.outline}`,
+    `Bold=${s.bold ? -1 : 0}`,
+    // Numpad layout: 2 bottom center, 8 top center
+    `Alignment=${s.position === 'top' ? 8 : 2}`,
+    `MarginV=${s.marginV === undefined ? 20 : s.marginV}`,
+  ];
+  if (s.fontName) parts.unshift(`FontName=${s.fontName}`);
+  return parts.join(',');
+}
+
+/**
+ * Filters burning a video's subtitles into the main chain. `offset` is the file position
+ * the run starts at: after an input seek frames restart at 0, so they are shifted to
+ * file time for the cues to line up and shifted back afterwards.
+ */
+function subtitleFilters(subtitles, { offset = 0 } = {}) {
+  const s = plain(subtitles);
+  const filter = `subtitles=filename=${escapeFilterValue(path.resolve(s.filepath))}:force_style=${escapeFilterValue(forceStyle(s.style))}`;
+  if (!(offset > 0)) return [filter];
+  const o = offset.toFixed(3);
+  return [`setpts=PTS+${o}/TB`, filter, `setpts=PTS-${o}/TB`];
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  parseSubtitleStyle,
+  hasSubtitles,
+  prepareSubtitles,
+  storeSubtitles,
+  removeSubtitleFile,
+  subtitleFilters,
+};
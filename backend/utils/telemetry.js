@@ -0,0 +1,133 @@
+// Encoder telemetry parsed from ffmpeg's periodic stats line, e.g.
+// frame= 1200 fps= 30 q=28.0 size= 9216kB time=00:00:40.00 bitrate=1887.4kbits/s dup=0 drop=3 speed=1.01x
+
+const SAMPLE_INTERVAL_MS = Number(process.env.STREAM_METRICS_INTERVAL_MS) || 2000;
+// 300 samples at 2s keeps the last 10 minutes
+const MAX_SAMPLES = Number(process.env.STREAM_METRICS_SAMPLES) || 300;
+// Output-time points kept for recentSpeed(): one per second, up to 10 minutes
+const PACE_INTERVAL_MS = 1000;
+const PACE_KEEP_MS = 600_000;
+
+function statValue(line, re) {
+  const m = line.match(re);
+  if (!m) return undefined;
+  const n = Number(m[1]);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+// Output time of a stats line in seconds; undefined for N/A and the negative times of the first lines
+function statTime(line) {
+  const m = line.match(/time=\s*(\d+):(\d+):([\d.]+)/);
+  return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) : undefined;
+}
+
+// Fields of a stats line; null for any other stderr line. N/A values are left undefined.
+function parseStatsLine(line) {
+  const text = String(line || '');
+  if (!/frame=\s*\d+/.test(text) || !/time=/.test(text)) return null;
+  return {
+    frames: statValue(text, /frame=\s*(\d+)/),
+    time: statTime(text),
+    fps: statValue(text, /fps=\s*([\d.]+)/),
+    kbps: statValue(text, /bitrate=\s*([\d.]+)kbits\/s/),
+    speed: statValue(text, /speed=\s*([\d.]+)x/),
+    dup: statValue(text, /dup=\s*(\d+)/) || 0,
+    drop: statValue(text, /drop=\s*(\d+)/) || 0,
+  };
+}
+
+function average(samples, key) {
+  const values = samples.map((s) => s[key]).filter((v) => typeof v === 'number');
+  if (!values.length) return undefined;
+  return Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100;
+}
+
+/**
+ * Rolling series for one stream. Every stats line updates the current reading; one
+ * sample per interval is kept. Dropped/duplicated frame counts are totals for the
+ * stream: ffmpeg restarts its counters with each relaunched process.
+ */
+class EncoderTelemetry {
+  constructor({ intervalMs = SAMPLE_INTERVAL_MS, limit = MAX_SAMPLES } = {}) {
+    this.intervalMs = intervalMs;
+    this.limit = limit;
+    this.samples = [];
+    this.current = null;
+    this.last = null; // raw counters of the current process
+    this.base = { drop: 0, dup: 0 };
+    this.lastSampleMs = 0;
+    this.pace = []; // { ms, time } of the current process
+  }
+
+  // Feed one stderr line of the encoding process; true when it was a stats line
+  update(line, now = Date.now()) {
+    const stats = parseStatsLine(line);
+    if (!stats) return false;
+    if (this.last && stats.frames < this.last.frames) {
+      this.base.drop += this.last.drop;
+      this.base.dup += this.last.dup;
+      this.pace = [];
+    }
+    const lastPace = this.pace[this.pace.length - 1];
+    if (stats.time !== undefined && (!lastPace || now - lastPace.ms >= PACE_INTERVAL_MS)) {
+      this.pace.push({ ms: now, time: stats.time });
+      while (now - this.pace[0].ms > PACE_KEEP_MS) this.pace.shift();
+    }
+    this.last = stats;
+    this.current = {
+      at: new Date(now),
+      fps: stats.fps,
+      kbps: stats.kbps,
+      speed: stats.speed,
+      dropped: this.base.drop + stats.drop,
+      duplicated: this.base.dup + stats.dup,
+    };
+    if (now - this.lastSampleMs >= this.intervalMs) {
+      this.lastSampleMs = now;
+      this.samples.push(this.current);
+      if (this.samples.length > this.limit) this.samples.splice(0, this.samples.length - this.limit);
+    }
+    return true;
+  }
+
+  latest() {
+    return this.current || undefined;
+  }
+
+  /**
+   * Output seconds encoded per wall-clock second over the last `windowMs` of the current
+   * process; undefined until it has run that long. ffmpeg's own speed= is an average
+   * since the process started, so it hides a slowdown late in a long run.
+   */
+  recentSpeed(windowMs, now = Date.now()) {
+    const last = this.pace[this.pace.length - 1];
+    if (!last) return undefined;
+    for (let i = this.pace.length - 1; i >= 0; i -= 1) {
+      const from = this.pace[i];
+      if (now - from.ms < windowMs) continue;
+      if (last.ms === from.ms) return undefined;
+      return Math.round(((last.time - from.time) / ((last.ms - from.ms) / 1000)) * 100) / 100;
+    }
+    return undefined;
+  }
+
+  // Samples taken after `since` (all when omitted) with averages over them
+  history(since) {
+    const from = since ? new Date(since).getTime() : 0;
+    const samples = this.samples.filter((s) => s.at.getTime() > from);
+    return {
+      intervalMs: this.intervalMs,
+      samples,
+      summary: {
+        fps: average(samples, 'fps'),
+        kbps: average(samples, 'kbps'),
+        speed: average(samples, 'speed'),
+        minSpeed: samples.reduce((min, s) => (typeof s.speed === 'number' && (min === undefined || s.speed < min) ? s.speed : min), undefined),
+        dropped: this.current ? this.current.dropped : 0,
+        duplicated: this.current ? this.current.duplicated : 0,
+      },
+    };
+  }
+}
+
+module.exports = { EncoderTelemetry, parseStatsLine };
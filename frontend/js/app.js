@@ -19,6 +19,7 @@
     COMPLETED: 'completed',
     FAILED: 'failed',
     CANCELLED: 'cancelled',
+    INTERRUPTED: 'interrupted',
   });
 
   /** State */
@@ -28,6 +29,7 @@
   let currentFilter = '';
   let searchTerm = '';
   const activeUploads = new Map();
+  const monitors = new Map(); // stream id -> { video, hls } live previews kept across refreshes
   let refreshTimer = null;
   let isRefreshing = false;
 
@@ -218,6 +220,7 @@
       [STATUS.COMPLETED]: { cls: 'badge badge--completed', icon: 'fa-regular fa-circle-check', label: 'Completed' },
       [STATUS.FAILED]: { cls: 'badge badge--failed', icon: 'fa-regular fa-circle-xmark', label: 'Failed' },
       [STATUS.CANCELLED]: { cls: 'badge badge--failed', icon: 'fa-regular fa-circle-stop', label: 'Cancelled' },
+      [STATUS.INTERRUPTED]: { cls: 'badge badge--failed', icon: 'fa-solid fa-plug-circle-xmark', label: 'Interrupted' },
     };
     const m = map[status] || map[STATUS.SCHEDULED];
     return `<span class="${m.cls}"><i class="${m.icon}"></i>${m.label}</span>`;
@@ -233,7 +236,25 @@
     const progressStr = item.type === 'external'
       ? (typeof item.progress === 'number' ? fmtDuration(item.progress) : '')
       : (typeof item.progress === 'number' ? `${item.progress}%` : '');
-    const srcLine = item.type === 'external' && item.sourceUrl ? `<div><strong>Source:</strong> ${escapeHtml(item.sourceUrl)}</div>` : '';
+    const srcLine = item.type === 'external' && item.sourceUrl ? `<div><strong>Source:</strong> ${escapeHtml(item.sourceUrl)}${item.live ? ' (live relay)' : ''}</div>` : '';
+    const t = item.telemetry;
+    const encLine = t ? `<div><strong>Encoder:</strong> ${[
+      typeof t.fps === 'number' ? `${t.fps} fps` : '',
+      typeof t.kbps === 'number' ? `${Math.round(t.kbps)} kbps` : '',
+      typeof t.speed === 'number' ? `${t.speed}x` : '',
+      t.dropped ? `${t.dropped} dropped` : '',
+    ].filter(Boolean).join(' · ') || '—'}</div>` : '';
+    const dg = item.downgrade;
+    const dgLine = dg ? `<div title="${escapeHtml(`Was ${dg.from}`)}"><strong>Downgraded:</strong> ${escapeHtml(dg.to)} (encoder at ${dg.speed}x)</div>` : '';
+    const rp = item.repeat;
+    const playLine = rp ? `<div><strong>Play:</strong> ${rp.play}${rp.of ? ` of ${rp.of}` : ''}</div>` : '';
+    const endLine = item.projectedEndAt ? `<div><strong>Ends:</strong> ${fmtDate(item.projectedEndAt)}</div>` : '';
+    const src = item.source;
+    const onAirLine = src ? `<div><strong>On air:</strong> ${escapeHtml(src.type === 'video' ? (src.title || src.videoId) : src.url)} (swapped ${fmtDate(src.since)})</div>` : '';
+    const pausedLine = item.paused ? `<div><strong>Paused:</strong> since ${fmtDate(item.paused.since)} at ${fmtDuration(item.paused.position)}</div>` : '';
+    const pauseBtn = item.paused
+      ? `<button class="btn" data-action="resume-active" data-id="${id}" data-type="${item.type}"><i class="fa-solid fa-play"></i> Resume</button>`
+      : `<button class="btn" data-action="pause-active" data-id="${id}" data-type="${item.type}"><i class="fa-solid fa-pause"></i> Pause</button>`;
     const card = document.createElement('div');
     card.className = 'card';
     card.dataset.id = id;
@@ -241,10 +262,13 @@
     card.innerHTML = `
       <div class="card-head" style="display:flex;align-items:center;justify-content:space-between;gap:12px;">
         <div style="display:flex;align-items:center;gap:10px;">
+          ${item.snapshot ? `<img class="snapshot" src="${API_URL}/streams/${encodeURIComponent(id)}/snapshot.jpg?t=${Date.now()}" alt="" width="96" height="54">` : ''}
           <h3 style="margin:0;">${escapeHtml(title)}</h3>
           ${renderBadge(STATUS.STREAMING)}
         </div>
         <div class="card-actions" style="display:flex;gap:8px;">
+          ${pauseBtn}
+          <button class="btn" data-action="swap-active" data-id="${id}" data-type="${item.type}"><i class="fa-solid fa-shuffle"></i> Swap</button>
           <button class="btn warning" data-action="stop-active" data-id="${id}" data-type="${item.type}"><i class="fa-solid fa-stop"></i> Stop</button>
         </div>
       </div>
@@ -252,17 +276,63 @@
         <div>
           <div><strong>Started:</strong> ${started}</div>
           ${srcLine}
+          ${onAirLine}
           ${plLine}
         </div>
         <div>
           <div><strong>Progress:</strong> ${progressStr || '—'}</div>
+          ${pausedLine}
+          ${playLine}
+          ${endLine}
+          ${encLine}
+          ${dgLine}
           ${outUrl}
         </div>
       </div>
+      ${item.preview ? `<div class="monitor" data-monitor="${id}"></div>` : ''}
     `;
+    // No frame captured yet: keep the placeholder box instead of a broken image
+    const snapshot = card.querySelector('img.snapshot');
+    if (snapshot) snapshot.addEventListener('error', () => snapshot.classList.add('empty'), { once: true });
     return card;
   }
 
+  /** Live preview player for a stream: native HLS where supported, else hls.js */
+  function getMonitor(id) {
+    if (monitors.has(id)) return monitors.get(id);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.autoplay = true;
+    video.playsInline = true;
+    video.controls = true;
+    const src = `${API_URL}/streams/${encodeURIComponent(id)}/preview.m3u8`;
+    const monitor = { video, hls: null };
+    if (window.Hls && window.Hls.isSupported()) {
+      monitor.hls = new window.Hls({ liveSyncDurationCount: 2 });
+      monitor.hls.on(window.Hls.Events.ERROR, (_evt, data) => {
+        // The playlist appears a few seconds after the stream starts; the next refresh retries
+        if (data && data.fatal) dropMonitor(id);
+      });
+      monitor.hls.loadSource(src);
+      monitor.hls.attachMedia(video);
+    } else if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      video.src = src;
+    } else {
+      return null;
+    }
+    monitors.set(id, monitor);
+    return monitor;
+  }
+
+  function dropMonitor(id) {
+    const monitor = monitors.get(id);
+    if (!monitor) return;
+    monitors.delete(id);
+    if (monitor.hls) monitor.hls.destroy();
+    monitor.video.removeAttribute('src');
+    monitor.video.remove();
+  }
+
   function renderActiveStreams(items) {
     if (!el.activeStreamsList) return;
     el.activeStreamsList.innerHTML = '';
@@ -275,6 +345,12 @@
     const frag = document.createDocumentFragment();
     list.forEach(item => frag.appendChild(createActiveCard(item)));
     el.activeStreamsList.appendChild(frag);
+    const previewIds = new Set(list.filter(item => item.preview).map(item => String(item.id)));
+    Array.from(monitors.keys()).forEach(id => { if (!previewIds.has(id)) dropMonitor(id); });
+    el.activeStreamsList.querySelectorAll('[data-monitor]').forEach(slot => {
+      const monitor = getMonitor(slot.dataset.monitor);
+      if (monitor) slot.appendChild(monitor.video);
+    });
   }
 
   async function loadActiveStreams() {
@@ -300,6 +376,51 @@
   function setupActiveActions() {
     if (!el.activeStreamsList) return;
     el.activeStreamsList.addEventListener('click', async (ev) => {
+      const hold = ev.target.closest('button[data-action="pause-active"], button[data-action="resume-active"]');
+      if (hold) {
+        const op = hold.getAttribute('data-action') === 'pause-active' ? 'pause' : 'resume';
+        const id = hold.getAttribute('data-id');
+        hold.disabled = true; hold.classList.add('loading');
+        try {
+          if (hold.getAttribute('data-type') === 'external') {
+            await fetchJSON(`${API_URL}/videos/url/stream/${op}`, {
+              method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ streamId: id })
+            });
+          } else {
+            await fetchJSON(`${API_URL}/videos/${id}/stream/${op}`, { method: 'POST' });
+          }
+          showToast(op === 'pause' ? 'Stream paused' : 'Stream resumed', 'success');
+          await loadActiveStreams();
+        } catch (err) {
+          showToast(`Failed to ${op}: ${err.message}`, 'error');
+        } finally {
+          hold.disabled = false; hold.classList.remove('loading');
+        }
+        return;
+      }
+      const swap = ev.target.closest('button[data-action="swap-active"]');
+      if (swap) {
+        const input = prompt('Swap to which source? Enter a library video ID or a source URL.');
+        const value = input && input.trim();
+        if (!value) return;
+        const id = swap.getAttribute('data-id');
+        const body = /^[a-f0-9]{24}$/i.test(value) ? { videoId: value } : { sourceUrl: value };
+        const url = swap.getAttribute('data-type') === 'external'
+          ? `${API_URL}/videos/url/stream/swap`
+          : `${API_URL}/videos/${id}/stream/swap`;
+        if (swap.getAttribute('data-type') === 'external') body.streamId = id;
+        swap.disabled = true; swap.classList.add('loading');
+        try {
+          await fetchJSON(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+          showToast('Source swapped', 'success');
+          await loadActiveStreams();
+        } catch (err) {
+          showToast(`Failed to swap: ${err.message}`, 'error');
+        } finally {
+          swap.disabled = false; swap.classList.remove('loading');
+        }
+        return;
+      }
       const btn = ev.target.closest('button[data-action="stop-active"]');
       if (!btn) return;
       const id = btn.getAttribute('data-id');
@@ -335,7 +456,7 @@
     const canStart = status === STATUS.SCHEDULED;
     const canInstant = status === STATUS.LIBRARY;
     const canStop = status === STATUS.STREAMING;
-    const canDelete = [STATUS.COMPLETED, STATUS.FAILED, STATUS.CANCELLED].includes(status) || !canStop;
+    const canDelete = [STATUS.COMPLETED, STATUS.FAILED, STATUS.CANCELLED, STATUS.INTERRUPTED].includes(status) || !canStop;
 
     const card = document.createElement('div');
     card.className = 'card';
@@ -371,6 +492,12 @@
     return card;
   }
 
+  /** Output targets: SRT keys are optional, RIST/UDP take none (mirrors the backend) */
+  const OUTPUT_URL_RE = /^(?:rtmps?|srt|rist|udp):\/\//i;
+  function needsStreamKey(url) {
+    return !/^(?:srt|rist|udp):\/\//i.test(String(url || '').trim());
+  }
+
   /** Escape HTML */
   function escapeHtml(str) {
     return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
@@ -543,17 +670,20 @@
       const rtmpUrl = document.getElementById('playlist-rtmpUrl')?.value?.trim();
       const streamKey = document.getElementById('playlist-streamKey')?.value?.trim();
       const loop = !!document.getElementById('playlist-loop')?.checked;
+      const gapless = !!document.getElementById('playlist-gapless')?.checked;
+      const loopCount = Number(document.getElementById('playlist-loopCount')?.value) || undefined;
+      const maxDuration = Number(document.getElementById('playlist-maxDuration')?.value) || undefined;
       const vids = Array.from(el.playlistSelector.querySelectorAll('input[type="checkbox"][name="videoIds"]:checked')).map(cb => cb.value);
       if (!name) { setPlaylistMessage('Playlist name is required.', 'error'); return; }
       if (!scheduledAt) { setPlaylistMessage('Schedule date/time is required.', 'error'); return; }
-      if (!rtmpUrl || !/^rtmps?:\/\//i.test(rtmpUrl)) { setPlaylistMessage('Valid RTMP URL is required.', 'error'); return; }
-      if (!streamKey || streamKey.length < 8) { setPlaylistMessage('Stream Key (min 8 chars) is required.', 'error'); return; }
+      if (!rtmpUrl || !OUTPUT_URL_RE.test(rtmpUrl)) { setPlaylistMessage('Valid output URL (rtmp, rtmps, srt, rist or udp) is required.', 'error'); return; }
+      if (needsStreamKey(rtmpUrl) && (!streamKey || streamKey.length < 8)) { setPlaylistMessage('Stream Key (min 8 chars) is required.', 'error'); return; }
       if (!Array.isArray(vids) || vids.length === 0) { setPlaylistMessage('Select at least one video.', 'error'); return; }
 
       const btn = el.playlistForm.querySelector('button[type="submit"]');
       if (btn) { btn.disabled = true; btn.classList.add('loading'); }
       try {
-        const body = { name, scheduleTime: new Date(scheduledAt).toISOString(), videoIds: vids, rtmpUrl, streamKey, loop };
+        const body = { name, scheduleTime: new Date(scheduledAt).toISOString(), videoIds: vids, rtmpUrl, streamKey, loop, gapless, loopCount, maxDuration };
         const created = await fetchJSON(`${API_URL}/playlists`, {
           method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body)
         });
@@ -587,14 +717,18 @@
       const rtmpInput = el.form.querySelector('input[name="rtmpUrl"]');
       const keyInput = el.form.querySelector('input[name="streamKey"]');
       const loopInput = document.getElementById('loop');
+      const subtitlesInput = document.getElementById('subtitles');
 
       const file = fileInput?.files?.[0];
+      const subtitles = subtitlesInput?.files?.[0];
       const title = titleInput?.value?.trim();
       const scheduleTime = schedInput?.value;
       const rtmpUrl = rtmpInput?.value?.trim();
       const streamKey = keyInput?.value?.trim();
       const stopAt = stopInput?.value || '';
       const loop = !!loopInput?.checked;
+      const loopCount = document.getElementById('loopCount')?.value || '';
+      const maxDuration = document.getElementById('maxDuration')?.value || '';
 
       // Validation
       if (!file) return setMessage('Please choose a video file.', 'error');
@@ -610,7 +744,7 @@
       if (!title) return setMessage('Title is required.', 'error');
       if (!scheduleTime) return setMessage('Schedule date/time is required.', 'error');
       if (!rtmpUrl) return setMessage('RTMP URL is required.', 'error');
-      if (!streamKey || streamKey.length < 16) return setMessage('Stream key must be at least 16 characters.', 'error');
+      if (needsStreamKey(rtmpUrl) && (!streamKey || streamKey.length < 16)) return setMessage('Stream key must be at least 16 characters.', 'error');
       if (stopAt) {
         const sched = new Date(scheduleTime);
         const stop = new Date(stopAt);
@@ -632,6 +766,9 @@
       fd.append('rtmpUrl', rtmpUrl);
       fd.append('streamKey', streamKey);
       fd.append('loop', loop ? 'true' : 'false');
+      if (loopCount) fd.append('loopCount', loopCount);
+      if (maxDuration) fd.append('maxDuration', maxDuration);
+      if (subtitles) fd.append('subtitles', subtitles, subtitles.name);
 
       const xhr = new XMLHttpRequest();
       xhr.open('POST', `${API_URL}/videos/upload`);
@@ -774,10 +911,10 @@
 
   /** Instant Live for library items */
   async function startInstant(id) {
-    const rtmpUrl = prompt('RTMP URL (e.g., rtmp://a.rtmp.youtube.com/live2)');
+    const rtmpUrl = prompt('Output URL (e.g., rtmp://a.rtmp.youtube.com/live2 or srt://host:port)');
     if (!rtmpUrl) return;
-    const streamKey = prompt('Stream Key');
-    if (!streamKey || streamKey.trim().length < 8) {
+    const streamKey = prompt(needsStreamKey(rtmpUrl) ? 'Stream Key' : 'Stream Key (optional)') || '';
+    if (needsStreamKey(rtmpUrl) && (!streamKey || streamKey.trim().length < 8)) {
       showToast('Valid stream key is required', 'error');
       return;
     }
@@ -840,6 +977,8 @@
         <div class="form-row"><label>RTMP URL<input type="text" id="edit-rtmp" value="${escapeHtml(video.rtmpUrl || '')}"></label></div>
         <div class="form-row"><label>Stream Key<input type="password" id="edit-key" value="${escapeHtml(video.streamKey || '')}"></label></div>
         <div class="form-row"><label class="checkbox"><input type="checkbox" id="edit-loop" ${video.loop ? 'checked' : ''}><span>Loop video (continuous stream)</span></label></div>
+        <div class="form-row"><label>Play Count<input type="number" id="edit-loopCount" min="1" step="1" placeholder="Endless" value="${video.loopCount || ''}"></label></div>
+        <div class="form-row"><label>Max Runtime (minutes)<input type="number" id="edit-maxDuration" min="1" step="any" value="${video.maxDuration || ''}"></label></div>
       </div>
       <div class="modal-actions">
         <button class="btn primary" data-action="save"><i class="fa-regular fa-floppy-disk"></i> Save</button>
@@ -858,6 +997,8 @@
       const rtmp = content.querySelector('#edit-rtmp').value.trim();
       const key = content.querySelector('#edit-key').value.trim();
       const loop = !!content.querySelector('#edit-loop').checked;
+      const loopCount = Number(content.querySelector('#edit-loopCount').value) || null;
+      const maxDuration = Number(content.querySelector('#edit-maxDuration').value) || null;
       const stopVal = content.querySelector('#edit-stop').value;
       if (!title) { showToast('Title is required', 'error'); return; }
       if (!schedule) { showToast('Schedule is required', 'error'); return; }
@@ -872,7 +1013,7 @@
         }
       }
       try {
-        const body = { title, scheduleTime: new Date(schedule).toISOString(), rtmpUrl: rtmp, streamKey: key, loop };
+        const body = { title, scheduleTime: new Date(schedule).toISOString(), rtmpUrl: rtmp, streamKey: key, loop, loopCount, maxDuration };
         if (video.status === STATUS.LIBRARY) { body.status = STATUS.SCHEDULED; }
         if (stopVal) body.stopTime = new Date(stopVal).toISOString();
         const updated = await fetchJSON(`${API_URL}/videos/${video._id}`, {
@@ -1023,7 +1164,7 @@
       const streamKey = el.urlKey?.value?.trim();
       if (!sourceUrl) { setUrlMessage('YouTube URL is required.', 'error'); return; }
       if (!rtmpUrl) { setUrlMessage('RTMP URL is required.', 'error'); return; }
-      if (!streamKey || streamKey.length < 8) { setUrlMessage('Stream key must be at least 8 characters.', 'error'); return; }
+      if (needsStreamKey(rtmpUrl) && (!streamKey || streamKey.length < 8)) { setUrlMessage('Stream key must be at least 8 characters.', 'error'); return; }
       el.urlStartBtn.disabled = true; el.urlStartBtn.classList.add('loading');
       try {
         const res = await fetchJSON(`${API_URL}/videos/url/stream/start`, {
@@ -1075,7 +1216,7 @@
         const stopTimeStr = el.urlScheduleStop?.value?.trim();
         if (!sourceUrl) { setUrlMessage('YouTube URL is required.', 'error'); return; }
         if (!rtmpUrl) { setUrlMessage('RTMP URL is required.', 'error'); return; }
-        if (!streamKey || streamKey.length < 8) { setUrlMessage('Stream key must be at least 8 characters.', 'error'); return; }
+        if (needsStreamKey(rtmpUrl) && (!streamKey || streamKey.length < 8)) { setUrlMessage('Stream key must be at least 8 characters.', 'error'); return; }
         if (!scheduleTimeStr) { setUrlMessage('Please select a schedule start time.', 'error'); return; }
         const scheduleTime = new Date(scheduleTimeStr).toISOString();
         const stopTime = stopTimeStr ? new Date(stopTimeStr).toISOString() : undefined;